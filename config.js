@@ -287,5 +287,143 @@ module.exports = {
         "https://online.mountsaintvincent.edu/tuition/",
         
       ]
+    },
+    // "config" tests only the lists above; "sitemap" also pulls every page from each site's sitemap.xml
+    // include/exclude are globs on the page path where "*" matches anything (e.g. "/articles/*")
+    "discovery": {
+      "mode": "config",
+      "sitemapPath": "/sitemap.xml",
+      "include": [],
+      "exclude": ["*.xml"]
+    },
+    // "staging-vs-prod" compares the two live sites; "baseline" compares the current
+    // baselineEnv capture against approved images (see `npm run baseline -- accept <page>`);
+    // "cross-browser" compares each browser project against crossBrowser.referenceBrowser
+    // (chromium, firefox or webkit) on crossBrowser.env.
+    // "gating" decides what a failing page does to the test: "fail" fails it with a summary,
+    // "soft" records one soft assertion per page, "report-only" only writes the report.
+    // "concurrency" is how many pages are captured at once (each with its own browser context).
+    "comparison": {
+      "mode": "staging-vs-prod",
+      "baselineEnv": "staging",
+      "gating": "fail",
+      "concurrency": 4,
+      "crossBrowser": { "env": "staging", "referenceBrowser": "chromium" }
+    },
+    // Steps run on every page before its screenshot: freeze CSS animations/transitions and carets,
+    // scroll through the page to trigger lazy loading, then wait for web fonts and images to decode.
+    // With "stableScreenshots" on, screenshots are retaken (up to maxScreenshotAttempts) until two match.
+    "capture": {
+      "disableAnimations": true,
+      "scrollForLazyLoad": true,
+      "waitForFonts": true,
+      "waitForImages": true,
+      "stableScreenshots": false,
+      "maxScreenshotAttempts": 3
+    },
+    // Third-party requests aborted in every test (globs on the full request URL) and widgets hidden
+    // before capture, so screenshots only reflect the site's own content. Name tracker hosts here:
+    // a bare word like "*tracking*" would also block first-party pages and query strings.
+    "blocking": {
+      "urlPatterns": [
+        "*bat.bing.com*",
+        "*google-analytics.com*",
+        "*googletagmanager.com*",
+        "*doubleclick.net*",
+        "*connect.facebook.net*",
+        "*hotjar.com*",
+        "*clarity.ms*",
+        "*snap.licdn.com*",
+        "*px.ads.linkedin.com*",
+        "*analytics.tiktok.com*"
+      ],
+      "hideSelectors": [
+        "#onetrust-consent-sdk",
+        "#hubspot-messages-iframe-container",
+        "iframe[title*='chat' i]"
+      ]
+    },
+    // Dynamic content to leave out of the visual comparison, matched by page path glob.
+    // "hide" selectors are made invisible, "blank" selectors are painted over with a solid box,
+    // and "regions" are pixel rectangles on the full-page capture that are not compared.
+    // Example:
+    // { "pattern": "/articles/*", "blank": [".carousel"], "regions": [{ "x": 0, "y": 0, "width": 1280, "height": 80 }] }
+    "masks": [],
+    // "pass" is the minimum similarity % for a page to pass; "pixelmatch" is the per-pixel colour
+    // tolerance (0-1). Similarity only covers the area both captures share, so "maxHeightDelta"
+    // fails a page whose heights differ by more than that % of the taller capture.
+    // The first override whose pattern matches a page replaces the default.
+    "thresholds": {
+      "default": { "pass": 95, "pixelmatch": 0.1, "maxHeightDelta": 5 },
+      "overrides": [
+        { "pattern": "/apply/?d=*", "pass": 98 },
+        { "pattern": "/articles/*", "pass": 90 }
+      ]
+    },
+    // The visual comparison runs once per device. "descriptor" is a Playwright device name
+    // (https://playwright.dev/docs/emulation#devices) and "use" overrides its context options;
+    // mobile devices are captured at 1x so full-page diffs stay a manageable size.
+    "devices": [
+      { "name": "Desktop", "use": { "viewport": { "width": 1280, "height": 800 } } },
+      { "name": "iPad", "descriptor": "iPad (gen 7)", "use": { "deviceScaleFactor": 1 } },
+      { "name": "iPhone", "descriptor": "iPhone 13", "use": { "deviceScaleFactor": 1 } }
+    ],
+    // "assets" writes report thumbnails (thumbnailFormat "webp" or "jpeg" via sharp) and full-size
+    // copies into a visual_comparison_assets_<browser>_<device>/ folder next to the report, which
+    // must be kept together with it. "single-file" inlines full-size images for emailing instead.
+    // Reports, their assets and the index are written to "outputDir".
+    "report": {
+      "mode": "assets",
+      "thumbnailWidth": 400,
+      "thumbnailFormat": "webp",
+      "thumbnailQuality": 70,
+      "outputDir": "."
+    },
+    // Image and link checks share one checker: each URL is requested once per test worker (HEAD,
+    // falling back to GET), at most "concurrencyPerHost" at a time per host, with "retries" for
+    // transient failures. Workers and browser projects don't share results, so each of them checks
+    // a common URL again. Images larger than "maxImageBytes" are flagged as warnings, not failures.
+    "assets": {
+      "concurrencyPerHost": 4,
+      "timeout": 15000,
+      "retries": 2,
+      "maxImageBytes": 1048576
+    },
+    // The link check follows every <a href> on the configured pages of each environment. Chains of
+    // more than "maxRedirects" redirects are flagged; external hosts are only requested with
+    // "checkExternal"; "ignore" lists URL globs that are never checked.
+    "links": {
+      "maxRedirects": 3,
+      "checkExternal": false,
+      "ignore": ["*/wp-admin/*", "*/wp-login.php*"]
+    },
+    // The menu test reads the mega menu under "rootSelector" on each site's homepage, compares
+    // staging with prod item by item ("itemSelector" entries and their "linkSelector" links) and
+    // requests every menu link.
+    // The navigation tests open each submenu ("submenuSelector") on staging by hover (unless
+    // "openOnHover" is off), by keyboard (Tab/Enter/Escape, plus arrow keys with "arrowKeys") and,
+    // on the "mobileDevice" from the devices list, from "mobileToggleSelector" and each item's
+    // "indicatorSelector" arrow.
+    "menu": {
+      "rootSelector": ".max-mega-menu",
+      "itemSelector": "li.mega-menu-item",
+      "linkSelector": "a.mega-menu-link",
+      "submenuSelector": "ul.mega-sub-menu",
+      "indicatorSelector": "span.mega-indicator",
+      "mobileToggleSelector": ".mega-menu-toggle button",
+      "mobileDevice": "iPhone",
+      "openOnHover": true,
+      "arrowKeys": true
+    },
+    // Every run is archived under history/<browser>/<device>/<timestamp>/ in report.outputDir and
+    // recorded in that folder's history.json. "keepRuns" older runs are kept with their reports,
+    // thumbnails and diffs; "archiveScreenshots" also keeps every full-page capture, which takes a
+    // lot of disk (one full screenshot set per browser and device per run). Without it, archived
+    // reports open images at thumbnail size. The report plots each page's last "sparklineRuns"
+    // scores.
+    "history": {
+      "keepRuns": 30,
+      "sparklineRuns": 10,
+      "archiveScreenshots": false
     }
   }
\ No newline at end of file
@@ -36,14 +36,20 @@ export default defineConfig({
       name: "webkit",
       use: { ...devices["Desktop Safari"] },
     },
-    {
-      name: "Microsoft Edge",
-      use: { ...devices["Desktop Edge"], channel: "msedge" },
-    },
-    {
-      name: "Google Chrome",
-      use: { ...devices["Desktop Chrome"], channel: "chrome" },
-    },
+    /* Branded browsers aren't bundled with Playwright (and Edge isn't on most Linux CI images),
+       so they only run when BRANDED_BROWSERS is set. */
+    ...(process.env.BRANDED_BROWSERS
+      ? [
+          {
+            name: "Microsoft Edge",
+            use: { ...devices["Desktop Edge"], channel: "msedge" },
+          },
+          {
+            name: "Google Chrome",
+            use: { ...devices["Desktop Chrome"], channel: "chrome" },
+          },
+        ]
+      : []),
 
     /* Test against mobile viewports. */
     // {
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// Manage approved baselines for the "baseline" comparison mode
+//
+// Usage:
+//   node scripts/baseline.js accept [--project chromium] [--device Desktop] [--env staging] <pagePath|glob>...
+//   node scripts/baseline.js reject [--project chromium] [--device Desktop] <pagePath|glob>...
+//   node scripts/baseline.js list [--project chromium] [--device Desktop]
+//
+// Page arguments are paths from config.js ("/about/") or globs ("/apply/?d=*", "*").
+// Only screenshots the last run captured without an HTTP error can be accepted.
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, normalizePagePath } = require("../utils/configLoader");
+const { discoverUrls } = require("../utils/urlDiscovery");
+const { matchesAny } = require("../utils/urlPatterns");
+const { getRunName, getScreenshotPath, getReportPath } = require("../utils/screenshotPaths");
+const { getOutputPath } = require("../utils/reportAssets");
+const {
+  acceptBaseline,
+  rejectBaseline,
+  listBaselines,
+} = require("../utils/baselineStore");
+
+// Split argv into the command, --flag values and positional page patterns
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { project: "chromium", device: "Desktop", env: null, patterns: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--project") options.project = rest[++i];
+    else if (rest[i] === "--device") options.device = rest[++i];
+    else if (rest[i] === "--env") options.env = rest[++i];
+    else options.patterns.push(rest[i]);
+  }
+
+  return { command, options };
+}
+
+// Expand page arguments into concrete page paths known to config.js (or the sitemap)
+async function resolvePagePaths(config, patterns) {
+  const urls = await discoverUrls(config);
+  const knownPaths = [...new Set([...urls.staging, ...urls.prod])];
+  const knownHosts = ["staging", "prod"].map((env) => new URL(config[env].baseUrl).host);
+  const resolved = new Set();
+
+  for (const pattern of patterns) {
+    if (pattern.includes("*")) {
+      knownPaths
+        .filter((pagePath) => matchesAny(pagePath, [pattern]))
+        .forEach((pagePath) => resolved.add(pagePath));
+      continue;
+    }
+
+    const { pagePath, error } = normalizePagePath(pattern, knownHosts);
+    if (error) throw new Error(`Invalid page "${pattern}": ${error}`);
+    resolved.add(pagePath);
+  }
+
+  return [...resolved];
+}
+
+// Pages of the run's results JSON, which record how each screenshot was captured
+function readCapturedPages(runName, config) {
+  const resultsPath = getOutputPath(config, getReportPath(runName, "results", "json"));
+  if (!fs.existsSync(resultsPath)) return [];
+  return JSON.parse(fs.readFileSync(resultsPath, "utf8")).pages;
+}
+
+// Why a screenshot can't become a baseline, or null if it can
+// Error pages are captured so reviewers can see them, but they must never be approved
+function getCaptureProblem(pagePath, sourcePath, capturedPages) {
+  if (!fs.existsSync(sourcePath)) return `no screenshot at ${sourcePath}`;
+
+  const page = capturedPages.find((entry) => entry.pagePath === pagePath);
+  const side =
+    page &&
+    Object.keys(page.images).find(
+      (type) => path.resolve(page.images[type]) === path.resolve(sourcePath)
+    );
+  if (!side) return `${sourcePath} is not in the last run's results`;
+
+  const { status } = page.environments[side] || {};
+  if (status >= 400) return `${sourcePath} was captured with HTTP ${status}`;
+  return null;
+}
+
+// Accept every page's screenshot as its baseline, or none of them
+// All screenshots are checked before the first copy so a bad one can't leave the manifest half
+// updated. Returns [{ pagePath, baselinePath }]
+function acceptPages(config, runName, pagePaths, sourceEnv) {
+  const capturedPages = readCapturedPages(runName, config);
+  const sources = pagePaths.map((pagePath) => ({
+    pagePath,
+    sourcePath: getScreenshotPath(runName, sourceEnv, pagePath),
+  }));
+  const problems = sources
+    .map(({ pagePath, sourcePath }) => {
+      const problem = getCaptureProblem(pagePath, sourcePath, capturedPages);
+      return problem && `${pagePath}: ${problem}`;
+    })
+    .filter(Boolean);
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Nothing accepted; ${problems.length} of ${sources.length} pages can't be approved:\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+  }
+
+  return sources.map(({ pagePath, sourcePath }) => ({
+    pagePath,
+    baselinePath: acceptBaseline(runName, pagePath, sourcePath, sourceEnv),
+  }));
+}
+
+async function main() {
+  const chalk = (await import("chalk")).default;
+  const config = loadConfig();
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const runName = getRunName(options.project, options.device);
+
+  if (command === "list") {
+    const baselines = listBaselines(runName);
+    console.log(chalk.blue(`${baselines.length} approved baselines for ${runName}:`));
+    baselines.forEach(({ pagePath, sourceEnv, approvedAt }) =>
+      console.log(`  ${pagePath} (${sourceEnv}, approved ${approvedAt})`)
+    );
+    return;
+  }
+
+  if (!["accept", "reject"].includes(command) || options.patterns.length === 0) {
+    console.log(
+      "Usage: node scripts/baseline.js <accept|reject> [--project chromium] [--device Desktop] [--env staging] <pagePath|glob>...\n" +
+        "       node scripts/baseline.js list [--project chromium] [--device Desktop]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const pagePaths = await resolvePagePaths(config, options.patterns);
+  if (pagePaths.length === 0) {
+    throw new Error(`No pages matched: ${options.patterns.join(", ")}`);
+  }
+
+  if (command === "accept") {
+    const sourceEnv =
+      options.env || (config.comparison && config.comparison.baselineEnv) || "staging";
+    for (const { pagePath, baselinePath } of acceptPages(config, runName, pagePaths, sourceEnv)) {
+      console.log(chalk.green(`✅ Accepted ${pagePath} -> ${baselinePath}`));
+    }
+    return;
+  }
+
+  for (const pagePath of pagePaths) {
+    if (rejectBaseline(runName, pagePath)) {
+      console.log(chalk.yellow(`🗑️ Removed baseline for ${pagePath}`));
+    } else {
+      console.log(chalk.yellow(`⚠️ No baseline to remove for ${pagePath}`));
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, resolvePagePaths, getCaptureProblem, acceptPages };
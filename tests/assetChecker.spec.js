@@ -0,0 +1,133 @@
+const { test, expect } = require("@playwright/test");
+const { checkAsset, assessImage } = require("../utils/assetChecker");
+const { startFixtureServer } = require("./helpers/fixtureServer");
+
+const config = {
+  assets: {
+    concurrencyPerHost: 2,
+    timeout: 5000,
+    retries: 2,
+    retryDelay: 10,
+    maxImageBytes: 1024,
+  },
+};
+
+// Canned image responses; the server counts requests per "METHOD /path" so tests can see retries
+// and fallbacks, and /slow/* tracks how many requests are in flight at once
+const inFlight = { current: 0, max: 0 };
+const image = (res, length = 100) =>
+  res.writeHead(200, { "Content-Type": "image/png", "Content-Length": length }).end();
+const headAnswers = (answer) => (req, res) =>
+  req.method === "HEAD" ? answer(req, res) : image(res);
+
+const routes = {
+  "/image.png": (req, res) => image(res),
+  "/cached.png": (req, res) => image(res),
+  "/head-405.png": headAnswers((req, res) => res.writeHead(405).end()),
+  "/head-501.png": headAnswers((req, res) => res.writeHead(501).end()),
+  "/head-dropped.png": headAnswers((req) => req.socket.destroy()),
+  "/flaky-503.png": (req, res, { count }) =>
+    req.method === "HEAD" || count === 1 ? res.writeHead(503).end() : image(res),
+  "/reset.png": (req, res, { count }) =>
+    req.method === "HEAD" || count === 1 ? req.socket.destroy() : image(res),
+  "/page.html": (req, res) =>
+    res.writeHead(200, { "Content-Type": "text/html" }).end("<p>not an image</p>"),
+  "/streamed.png": (req, res) => {
+    // No Content-Length, so the checker has to count the body itself
+    if (req.method === "HEAD") return res.writeHead(405).end();
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.on("error", () => {});
+    res.write(Buffer.alloc(800));
+    res.write(Buffer.alloc(800));
+    return res.end();
+  },
+};
+
+function slowImages(req, res) {
+  if (!req.url.startsWith("/slow/")) return res.writeHead(404).end();
+  inFlight.current++;
+  inFlight.max = Math.max(inFlight.max, inFlight.current);
+  return setTimeout(() => {
+    inFlight.current--;
+    image(res);
+  }, 100);
+}
+
+test.describe("Asset Checker", () => {
+  let fixture;
+  let origin;
+
+  test.beforeAll(async () => {
+    fixture = await startFixtureServer(routes, slowImages);
+    origin = fixture.origin;
+  });
+
+  test.afterAll(async () => {
+    await fixture.close();
+  });
+
+  test("Answer from HEAD and request each URL only once", async () => {
+    const first = await checkAsset(`${origin}/cached.png`, config);
+    const second = await checkAsset(`${origin}/cached.png`, config);
+
+    expect(first).toMatchObject({
+      ok: true,
+      status: 200,
+      method: "HEAD",
+      contentType: "image/png",
+    });
+    expect(second).toBe(first);
+    expect(fixture.counts["HEAD /cached.png"]).toBe(1);
+    expect(fixture.counts["GET /cached.png"]).toBeUndefined();
+  });
+
+  test("Fall back to GET when HEAD is refused or the connection drops", async () => {
+    for (const name of ["head-405", "head-501", "head-dropped"]) {
+      const check = await checkAsset(`${origin}/${name}.png`, config);
+      expect(check, name).toMatchObject({ ok: true, status: 200, method: "GET", attempts: 1 });
+    }
+  });
+
+  test("Retry transient failures with backoff", async () => {
+    const flaky = await checkAsset(`${origin}/flaky-503.png`, config);
+    expect(flaky).toMatchObject({ ok: true, status: 200, attempts: 2 });
+    expect(fixture.counts["GET /flaky-503.png"]).toBe(2);
+
+    const reset = await checkAsset(`${origin}/reset.png`, config);
+    expect(reset).toMatchObject({ ok: true, status: 200, attempts: 2 });
+  });
+
+  test("Report missing assets without retrying them", async () => {
+    const check = await checkAsset(`${origin}/missing.png`, config);
+
+    expect(check).toMatchObject({ ok: false, status: 404, reason: "HTTP 404", attempts: 1 });
+    expect(assessImage(check, config)).toEqual({ broken: "HTTP 404", warning: null });
+  });
+
+  test("Keep at most concurrencyPerHost requests in flight per host", async () => {
+    const urls = Array.from({ length: 8 }, (_, index) => `${origin}/slow/${index}.png`);
+    const checks = await Promise.all(urls.map((url) => checkAsset(url, config)));
+
+    expect(checks.every((check) => check.ok)).toBe(true);
+    expect(inFlight.max).toBe(config.assets.concurrencyPerHost);
+  });
+
+  test("Flag non-images as broken and heavy images as warnings", async () => {
+    const page = await checkAsset(`${origin}/page.html`, config);
+    expect(assessImage(page, config)).toEqual({
+      broken: "not an image (text/html)",
+      warning: null,
+    });
+
+    // The streamed body has no Content-Length; its counted size is still over maxImageBytes
+    const streamed = await checkAsset(`${origin}/streamed.png`, config);
+    expect(streamed).toMatchObject({ ok: true, method: "GET" });
+    expect(streamed.size).toBeGreaterThan(config.assets.maxImageBytes);
+    const { broken, warning } = assessImage(streamed, config);
+    expect(broken).toBeNull();
+    expect(warning).toContain("over");
+
+    const small = await checkAsset(`${origin}/image.png`, config);
+    expect(assessImage(small, config)).toEqual({ broken: null, warning: null });
+  });
+});
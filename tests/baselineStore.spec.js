@@ -0,0 +1,138 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getBaselinePath,
+  hasBaseline,
+  acceptBaseline,
+  rejectBaseline,
+  listBaselines,
+} = require("../utils/baselineStore");
+const { getScreenshotPath } = require("../utils/screenshotPaths");
+const { parseArgs, getCaptureProblem, acceptPages } = require("../scripts/baseline");
+
+const runName = "chromium/Desktop";
+const config = { report: { outputDir: "." } };
+
+// Write a fake staging capture and return its path
+function capture(pagePath, contents = "png") {
+  const screenshotPath = getScreenshotPath(runName, "staging", pagePath);
+  fs.mkdirSync(path.dirname(screenshotPath), { recursive: true });
+  fs.writeFileSync(screenshotPath, contents);
+  return screenshotPath;
+}
+
+// Record the captures in the run's results JSON the way writeResultsJson does
+function writeResults(pages) {
+  fs.writeFileSync(
+    "visual_comparison_results_chromium_Desktop.json",
+    JSON.stringify({
+      pages: pages.map(({ pagePath, status }) => ({
+        pagePath,
+        images: { staging: getScreenshotPath(runName, "staging", pagePath) },
+        environments: { staging: { status } },
+      })),
+    })
+  );
+}
+
+test.describe("Baseline Store", () => {
+  let originalCwd;
+
+  // The store and screenshots live relative to the working directory, so work in a scratch one
+  test.beforeEach(() => {
+    originalCwd = process.cwd();
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "baselines-")));
+  });
+
+  test.afterEach(() => {
+    const scratchDir = process.cwd();
+    process.chdir(originalCwd);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  });
+
+  test("Accept, list and reject a baseline", () => {
+    const baselinePath = acceptBaseline(runName, "/about/", capture("/about/", "v1"), "staging");
+
+    expect(baselinePath).toBe(getBaselinePath(runName, "/about/"));
+    expect(fs.readFileSync(baselinePath, "utf8")).toBe("v1");
+    expect(hasBaseline(runName, "/about/")).toBe(true);
+    expect(listBaselines(runName)).toEqual([
+      {
+        pagePath: "/about/",
+        file: baselinePath,
+        sourceEnv: "staging",
+        approvedAt: expect.any(String),
+      },
+    ]);
+    expect(listBaselines("firefox/Desktop")).toEqual([]);
+
+    expect(rejectBaseline(runName, "/about/")).toBe(true);
+    expect(hasBaseline(runName, "/about/")).toBe(false);
+    expect(listBaselines(runName)).toEqual([]);
+    expect(rejectBaseline(runName, "/about/")).toBe(false);
+  });
+
+  test("Refuse to accept a screenshot that doesn't exist", () => {
+    expect(() => acceptBaseline(runName, "/gone/", "screenshots/none.png", "staging")).toThrow(
+      "No screenshot to accept for /gone/ at screenshots/none.png"
+    );
+    expect(listBaselines(runName)).toEqual([]);
+  });
+
+  test("Parse CLI flags and page arguments", () => {
+    expect(parseArgs(["accept", "--device", "iPhone", "/about/", "--env", "prod", "*"])).toEqual({
+      command: "accept",
+      options: { project: "chromium", device: "iPhone", env: "prod", patterns: ["/about/", "*"] },
+    });
+  });
+
+  test("Only accept screenshots the last run captured without an HTTP error", () => {
+    capture("/about/");
+    capture("/error/");
+    capture("/unrecorded/");
+    writeResults([
+      { pagePath: "/about/", status: 200 },
+      { pagePath: "/error/", status: 500 },
+    ]);
+    const pages = JSON.parse(
+      fs.readFileSync("visual_comparison_results_chromium_Desktop.json", "utf8")
+    ).pages;
+    const problemOf = (pagePath) =>
+      getCaptureProblem(pagePath, getScreenshotPath(runName, "staging", pagePath), pages);
+
+    expect(problemOf("/about/")).toBeNull();
+    expect(problemOf("/error/")).toMatch(/was captured with HTTP 500$/);
+    expect(problemOf("/unrecorded/")).toMatch(/is not in the last run's results$/);
+    expect(problemOf("/never-captured/")).toMatch(/^no screenshot at /);
+  });
+
+  test("Check every page before accepting any of them", () => {
+    capture("/about/");
+    capture("/apply/");
+    capture("/error/");
+    writeResults([
+      { pagePath: "/about/", status: 200 },
+      { pagePath: "/apply/", status: 200 },
+      { pagePath: "/error/", status: 404 },
+    ]);
+
+    // One bad page (and one never captured) stops the whole batch, listing every problem
+    expect(() =>
+      acceptPages(config, runName, ["/about/", "/error/", "/apply/", "/missing/"], "staging")
+    ).toThrow(
+      new RegExp(
+        "^Nothing accepted; 2 of 4 pages can't be approved:\n" +
+          "  - /error/: .* was captured with HTTP 404\n" +
+          "  - /missing/: no screenshot at "
+      )
+    );
+    expect(listBaselines(runName)).toEqual([]);
+    expect(fs.existsSync("baselines")).toBe(false);
+
+    const accepted = acceptPages(config, runName, ["/about/", "/apply/"], "staging");
+    expect(accepted.map((entry) => entry.pagePath)).toEqual(["/about/", "/apply/"]);
+    expect(listBaselines(runName).map((entry) => entry.pagePath)).toEqual(["/about/", "/apply/"]);
+  });
+});
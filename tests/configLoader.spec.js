@@ -0,0 +1,103 @@
+const { test, expect } = require("@playwright/test");
+const { normalizePagePath, loadConfig } = require("../utils/configLoader");
+
+const knownHosts = ["staging.example.com", "www.example.com"];
+
+const rawConfig = (stagingUrls, prodUrls = []) => ({
+  staging: { baseUrl: "https://staging.example.com/", urls: stagingUrls },
+  prod: { baseUrl: "https://www.example.com/", urls: prodUrls },
+});
+
+test.describe("Config Loader", () => {
+  test("Turn absolute staging and prod URLs into relative paths", () => {
+    expect(normalizePagePath("https://staging.example.com/about/?a=1", knownHosts)).toEqual({
+      pagePath: "/about/?a=1",
+    });
+    expect(normalizePagePath("https://www.example.com/degrees/", knownHosts)).toEqual({
+      pagePath: "/degrees/",
+    });
+    expect(normalizePagePath("  /apply/?d=PS-ALL  ", knownHosts)).toEqual({
+      pagePath: "/apply/?d=PS-ALL",
+    });
+  });
+
+  test("Collapse duplicate slashes without switching hosts", () => {
+    expect(normalizePagePath("/degrees/business//", knownHosts)).toEqual({
+      pagePath: "/degrees/business/",
+    });
+    expect(normalizePagePath("https://www.example.com//about///team/", knownHosts)).toEqual({
+      pagePath: "/about/team/",
+    });
+    // "//host/path" is protocol-relative, so its host has to be a known one too
+    expect(normalizePagePath("//staging.example.com/about/", knownHosts)).toEqual({
+      pagePath: "/about/",
+    });
+    expect(normalizePagePath("//other.example/about/", knownHosts).error).toContain(
+      'host "other.example" does not match'
+    );
+  });
+
+  test("Reject unknown hosts, unsupported protocols and empty entries", () => {
+    expect(normalizePagePath("https://other.example/about/", knownHosts)).toEqual({
+      error:
+        'host "other.example" does not match staging or prod ' +
+        "(staging.example.com, www.example.com)",
+    });
+    expect(normalizePagePath("ftp://staging.example.com/file", knownHosts)).toEqual({
+      error: 'unsupported protocol "ftp:"',
+    });
+    expect(normalizePagePath("mailto:someone@example.com", knownHosts)).toEqual({
+      error: 'unsupported protocol "mailto:"',
+    });
+    expect(normalizePagePath("https://", knownHosts).error).toMatch(/^not a valid URL or path/);
+    for (const entry of ["", "   ", null, 42]) {
+      expect(normalizePagePath(entry, knownHosts), String(entry)).toEqual({
+        error: "entry is empty or not a string",
+      });
+    }
+  });
+
+  test("Drop duplicate entries per environment, keeping the first", () => {
+    const config = loadConfig(
+      rawConfig(
+        ["/about/", "https://staging.example.com/about/", "/about//", "/apply/", "/about/?a=1"],
+        ["/about/", "https://www.example.com/about/"]
+      )
+    );
+
+    expect(config.staging.urls).toEqual(["/about/", "/apply/", "/about/?a=1"]);
+    expect(config.prod.urls).toEqual(["/about/"]);
+    expect(config.staging.baseUrl).toBe("https://staging.example.com/");
+  });
+
+  test("List every bad entry in one error", () => {
+    const raw = rawConfig(
+      ["/about/", "https://other.example/x/", ""],
+      ["javascript:alert(1)", "/ok/"]
+    );
+    raw.thresholds = { default: { pass: 120 } };
+    raw.devices = [{ name: "Desktop" }, { name: "Desktop" }];
+
+    expect(() => loadConfig(raw)).toThrow(
+      [
+        "Invalid entries in config.js (5):",
+        '  - staging.urls[1]: "https://other.example/x/" - host "other.example" does not match ' +
+          "staging or prod (staging.example.com, www.example.com)",
+        '  - staging.urls[2]: "" - entry is empty or not a string',
+        '  - prod.urls[0]: "javascript:alert(1)" - unsupported protocol "javascript:"',
+        "  - thresholds.default.pass: 120 - must be a number from 0 to 100",
+        '  - devices[1].name: "Desktop" is used more than once',
+      ].join("\n")
+    );
+  });
+
+  test("Report a missing or invalid base URL", () => {
+    expect(() => loadConfig({ staging: { baseUrl: "not a url", urls: [] } })).toThrow(
+      [
+        "Invalid entries in config.js (2):",
+        '  - staging.baseUrl: "not a url" is not a valid URL',
+        "  - prod.baseUrl: missing",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,38 @@
+const http = require("http");
+
+// Start a local HTTP server for the network-facing specs, on a free port
+// `routes` maps exact request paths ("/ok/", "/image.png?x=1") to handlers; `fallback` answers
+// everything else (404 by default). Handlers get (req, res, { count, origin }), where count is how
+// many times this "METHOD /path" has been requested, this request included.
+// Resolves to { server, origin, counts, close }
+function startFixtureServer(routes = {}, fallback = (req, res) => res.writeHead(404).end()) {
+  const counts = {};
+  const server = http.createServer((req, res) => {
+    const key = `${req.method} ${req.url}`;
+    counts[key] = (counts[key] || 0) + 1;
+    const handler = Object.prototype.hasOwnProperty.call(routes, req.url)
+      ? routes[req.url]
+      : fallback;
+    handler(req, res, { count: counts[key], origin: fixture.origin });
+  });
+  const fixture = {
+    server,
+    origin: null,
+    counts,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => {
+      fixture.origin = `http://127.0.0.1:${server.address().port}`;
+      resolve(fixture);
+    })
+  );
+}
+
+// Answer with a redirect to `location`
+function redirectTo(location, status = 301) {
+  return (req, res) => res.writeHead(status, { Location: location }).end();
+}
+
+module.exports = { startFixtureServer, redirectTo };
@@ -0,0 +1,199 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PNG } = require("pngjs");
+const { buildUrl } = require("../utils/configLoader");
+const { escapeHtml } = require("../utils/htmlEscape");
+const { loadHistory, archiveRun } = require("../utils/runHistory");
+const {
+  generateHtmlReport,
+  generateIndexReport,
+  writeRunSummary,
+  removeRunSummary,
+} = require("../utils/htmlReport");
+
+const baseConfig = {
+  staging: { baseUrl: "https://staging.example.com" },
+  prod: { baseUrl: "https://www.example.com/site/" },
+  comparison: { mode: "staging-vs-prod" },
+};
+const threshold = { pass: 95, pixelmatch: 0.1, source: "default" };
+
+const QUOTED_PATH = `/it's-a-"quoted"-page/`;
+const MARKUP_PATH = "/<img src=x onerror=alert(1)>/";
+const APPLY_PATH = "/apply/?d=MOUNTSAINTVINCENT-M-MBAGEN&utm=1";
+
+// Write a small solid PNG for the report to pick up
+function writePng(filePath) {
+  const png = new PNG({ width: 40, height: 30 });
+  png.data.fill(200);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
+test.describe("Report URL Building", () => {
+  test("Resolve page paths against the base URL without switching hosts", () => {
+    expect(buildUrl("https://staging.example.com", APPLY_PATH)).toBe(
+      "https://staging.example.com/apply/?d=MOUNTSAINTVINCENT-M-MBAGEN&utm=1"
+    );
+    expect(buildUrl("https://www.example.com/site/", "/about/")).toBe(
+      "https://www.example.com/site/about/"
+    );
+    expect(buildUrl("https://staging.example.com/", "https://other.example.com/about/?a=1")).toBe(
+      "https://staging.example.com/about/?a=1"
+    );
+    expect(buildUrl("https://staging.example.com", "//evil.example.com/about/")).toBe(
+      "https://staging.example.com/about/"
+    );
+    expect(buildUrl("https://staging.example.com", QUOTED_PATH)).toBe(
+      "https://staging.example.com/it's-a-%22quoted%22-page/"
+    );
+  });
+
+  test("Escape markup and both quote styles", () => {
+    expect(escapeHtml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;"
+    );
+  });
+});
+
+test.describe("HTML Report Generation", () => {
+  let workDir;
+  let config;
+
+  // Each test writes its reports (and screenshots) into a scratch output folder
+  test.beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-report-"));
+    config = { ...baseConfig, report: { outputDir: workDir } };
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("Escape odd page paths and error messages", async () => {
+    const reportPath = await generateHtmlReport(
+      [
+        { pagePath: QUOTED_PATH, similarityPercentage: 99, threshold },
+        { pagePath: MARKUP_PATH, similarityPercentage: "Error", error: "<script>alert(2)</script>" },
+        { pagePath: APPLY_PATH, similarityPercentage: 80, threshold },
+      ],
+      "chromium/Desktop",
+      config
+    );
+    const html = fs.readFileSync(reportPath, "utf8");
+
+    expect(html).not.toContain("<img src=x");
+    expect(html).not.toContain("<script>alert");
+    expect(html).toContain(`data-path="/it&#39;s-a-&quot;quoted&quot;-page/"`);
+    expect(html).toContain("&lt;img src=x onerror=alert(1)&gt;");
+    expect(html).toContain("&lt;script&gt;alert(2)&lt;/script&gt;");
+    expect(html).toContain(
+      `href="https://staging.example.com/apply/?d=MOUNTSAINTVINCENT-M-MBAGEN&amp;utm=1"`
+    );
+    expect(html).toContain(
+      `href="https://www.example.com/site/apply/?d=MOUNTSAINTVINCENT-M-MBAGEN&amp;utm=1"`
+    );
+    expect(html).toContain(`href="https://staging.example.com/it&#39;s-a-%22quoted%22-page/"`);
+  });
+
+  test("Use data attributes instead of inline handlers and encode image file names", async () => {
+    const stagingPath = path.join(workDir, "screenshots", "staging", "_apply_?d=X.png");
+    const prodPath = path.join(workDir, "screenshots", "prod", "_apply_?d=X.png");
+    writePng(stagingPath);
+    writePng(prodPath);
+
+    const reportPath = await generateHtmlReport(
+      [
+        {
+          pagePath: "/apply/?d=X",
+          similarityPercentage: 90,
+          threshold,
+          diffRegions: [{ x: 1, y: 2, width: 3, height: 4 }],
+          images: { staging: stagingPath, prod: prodPath },
+        },
+      ],
+      "chromium/Desktop",
+      config
+    );
+    const html = fs.readFileSync(reportPath, "utf8");
+
+    expect(html).not.toMatch(/\son[a-z]+=/);
+    expect(html.match(/<script>/g)).toHaveLength(1);
+    expect(html).toContain(`data-action="open-image"`);
+    expect(html).toContain(`data-action="open-region" data-row="0" data-region="0"`);
+    expect(html).toContain(`data-regions="[{&quot;x&quot;:1,&quot;y&quot;:2,`);
+    expect(html).toContain(
+      `data-full="visual_comparison_assets_chromium_Desktop/staging/_apply_%3Fd%3DX.png"`
+    );
+  });
+
+  test("Archive runs in the output folder without dangling full-size image links", async () => {
+    const stagingPath = path.join(workDir, "screenshots", "staging", "_it's_.png");
+    const diffPath = path.join(workDir, "screenshots", "diff", "_it's_.png");
+    writePng(stagingPath);
+    writePng(diffPath);
+    const results = [
+      {
+        pagePath: "/it's/",
+        similarityPercentage: 90,
+        threshold,
+        images: { staging: stagingPath, diff: diffPath },
+      },
+    ];
+    await generateHtmlReport(results, "chromium/Desktop", config);
+
+    const archivePath = archiveRun(results, "chromium/Desktop", config);
+    const archivedHtml = fs.readFileSync(
+      path.join(archivePath, "visual_comparison_report_chromium_Desktop.html"),
+      "utf8"
+    );
+
+    expect(archivePath.startsWith(path.join(workDir, "history", "chromium", "Desktop"))).toBe(true);
+    expect(loadHistory("chromium/Desktop", config)).toHaveLength(1);
+    // Only the diff's full-size copy is archived, so only its link survives
+    expect(archivedHtml.match(/data-full="[^"]*"/g)).toEqual([
+      `data-full="visual_comparison_assets_chromium_Desktop/diff/_it&#39;s_.png"`,
+    ]);
+    expect(archivedHtml).toContain("images open at thumbnail size");
+  });
+
+  test("Escape page paths in the index report", () => {
+    writeRunSummary(
+      [{ pagePath: MARKUP_PATH, similarityPercentage: 99, threshold }],
+      "chromium/Desktop",
+      config
+    );
+    const html = fs.readFileSync(generateIndexReport(config), "utf8");
+
+    expect(html).not.toContain("<img src=x");
+    expect(html).toContain("&lt;img src=x onerror=alert(1)&gt;");
+  });
+
+  test("Skip unreadable summaries and drop runs that are no longer configured", () => {
+    const rows = [{ pagePath: "/about/", similarityPercentage: 99, threshold }];
+    writeRunSummary(rows, "chromium/Desktop", config);
+    writeRunSummary(rows, "chromium/iPad", config);
+    const removedRun = writeRunSummary(rows, "chromium/Galaxy", config);
+    // A summary another worker is still writing, or one left corrupt by a crash
+    fs.writeFileSync(path.join(workDir, "visual_comparison_summary_firefox_Desktop.json"), "{");
+
+    const html = fs.readFileSync(
+      generateIndexReport(config, ["chromium/Desktop", "chromium/iPad", "firefox/Desktop"]),
+      "utf8"
+    );
+
+    expect(html).toContain(">chromium/Desktop</th>");
+    expect(html).toContain(">chromium/iPad</th>");
+    expect(html).not.toContain("chromium/Galaxy");
+    expect(html).toContain(
+      "Skipped unreadable summaries: visual_comparison_summary_firefox_Desktop.json"
+    );
+    expect(fs.existsSync(removedRun)).toBe(false);
+    expect(fs.readdirSync(workDir).filter((file) => file.endsWith(".tmp"))).toEqual([]);
+
+    removeRunSummary("chromium/iPad", config);
+    expect(fs.readFileSync(generateIndexReport(config), "utf8")).not.toContain("chromium/iPad");
+  });
+});
@@ -0,0 +1,62 @@
+const { test, expect } = require("@playwright/test");
+const { parseSrcset, extractCssUrls, auditPageImages } = require("../utils/imageAudit");
+
+test.describe("Image Audit", () => {
+  test("Split srcset candidates with or without a space after the comma", () => {
+    expect(parseSrcset("a.jpg 1x, b.jpg 2x")).toEqual(["a.jpg", "b.jpg"]);
+    expect(parseSrcset("a.jpg 1x,b.jpg 2x")).toEqual(["a.jpg", "b.jpg"]);
+    expect(parseSrcset("a.jpg 480w,\n  b.jpg 800w ,c.jpg 1200w")).toEqual([
+      "a.jpg",
+      "b.jpg",
+      "c.jpg",
+    ]);
+    // A trailing comma ends a candidate that has no descriptors
+    expect(parseSrcset("a.jpg,, b.jpg 2x")).toEqual(["a.jpg", "b.jpg"]);
+    expect(parseSrcset("a.jpg")).toEqual(["a.jpg"]);
+    expect(parseSrcset(" , ")).toEqual([]);
+    expect(parseSrcset(null)).toEqual([]);
+  });
+
+  test("Keep commas that are part of a URL", () => {
+    expect(parseSrcset("/img/w_400,h_300/a.jpg 1x, /img/w_800,h_600/a.jpg 2x")).toEqual([
+      "/img/w_400,h_300/a.jpg",
+      "/img/w_800,h_600/a.jpg",
+    ]);
+    expect(parseSrcset("data:image/png;base64,iVBORw0 1x, b.png 2x")).toEqual([
+      "data:image/png;base64,iVBORw0",
+      "b.png",
+    ]);
+    // With no whitespace after the URL a comma can't end it, so browsers request this one URL
+    expect(parseSrcset("a.jpg,b.jpg 2x")).toEqual(["a.jpg,b.jpg"]);
+    // Commas inside bracketed descriptors don't start a new candidate
+    expect(parseSrcset("a.jpg (1x, 2x), b.jpg 2x")).toEqual(["a.jpg", "b.jpg"]);
+  });
+
+  test("Extract every url() from a background-image value", () => {
+    expect(
+      extractCssUrls(`url("a.png"), linear-gradient(red, blue), url(b.jpg), url( 'c d.webp' )`)
+    ).toEqual(["a.png", "b.jpg", "c d.webp"]);
+    expect(extractCssUrls("none")).toEqual([]);
+  });
+
+  test("Only check rendering when URL checks are left to another project", async () => {
+    // Stands in for a loaded page: collectImageReferences only calls page.evaluate
+    const page = {
+      evaluate: async () => ({
+        references: [{ kind: "src", value: "http://127.0.0.1:9/unreachable.png", element: "img" }],
+        rendered: [{ url: "https://www.example.com/broken.webp", element: "img.hero" }],
+      }),
+    };
+
+    const audit = await auditPageImages(page, "https://www.example.com/", {}, { checkUrls: false });
+
+    expect(audit).toMatchObject({ checked: 0, oversized: [] });
+    expect(audit.broken).toEqual([
+      {
+        url: "https://www.example.com/broken.webp",
+        reason: "browser could not render it (naturalWidth 0)",
+        sources: [{ kind: "rendered", element: "img.hero" }],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PNG } = require("pngjs");
+const { compareScreenshots, findDiffRegions } = require("../utils/imageCompare");
+const { getResultStatus } = require("../utils/thresholds");
+
+// Build a diffMask-style buffer with the given rectangles marked as mismatched
+function maskWith(width, height, rects) {
+  const mask = new Uint8Array(width * height * 4);
+  for (const { x, y, width: w, height: h } of rects) {
+    for (let row = y; row < y + h; row++) {
+      for (let col = x; col < x + w; col++) {
+        mask[(row * width + col) * 4 + 3] = 255;
+      }
+    }
+  }
+  return mask;
+}
+
+// Write a solid white PNG of the given size and return its path
+function writeBlankPng(dir, name, width, height) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, PNG.sync.write(image));
+  return filePath;
+}
+
+test.describe("Screenshot Comparison", () => {
+  let dir;
+
+  test.beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "image-compare-"));
+  });
+
+  test.afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("Fail a page that lost content even though the shared area matches", async () => {
+    const config = { thresholds: { default: { pass: 95, maxHeightDelta: 5 } } };
+    const full = writeBlankPng(dir, "full.png", 50, 200);
+    const half = writeBlankPng(dir, "half.png", 50, 100);
+    const nearlyFull = writeBlankPng(dir, "nearly-full.png", 50, 196);
+
+    const halved = await compareScreenshots(full, half, path.join(dir, "diff", "half.png"));
+    expect(halved).toMatchObject({
+      similarityPercentage: 100,
+      heightDelta: -100,
+      widthDelta: 0,
+      dimensions: { staging: { width: 50, height: 200 }, prod: { width: 50, height: 100 } },
+    });
+    // The diff still covers the taller page
+    expect(PNG.sync.read(fs.readFileSync(path.join(dir, "diff", "half.png"))).height).toBe(200);
+    expect(getResultStatus({ pagePath: "/about/", ...halved }, config)).toBe("fail");
+
+    // A 2% difference is within the 5% limit
+    const close = await compareScreenshots(full, nearlyFull, path.join(dir, "diff", "close.png"));
+    expect(close.heightDelta).toBe(-4);
+    expect(getResultStatus({ pagePath: "/about/", ...close }, config)).toBe("pass");
+    // ...unless the page has a stricter override
+    const strict = {
+      thresholds: { ...config.thresholds, overrides: [{ pattern: "/about/", maxHeightDelta: 1 }] },
+    };
+    expect(getResultStatus({ pagePath: "/about/", ...close }, strict)).toBe("fail");
+  });
+});
+
+test.describe("Diff Region Detection", () => {
+  test("Cluster separate changes into their own bounding boxes", () => {
+    const mask = maskWith(200, 400, [
+      { x: 10, y: 10, width: 20, height: 5 },
+      { x: 100, y: 300, width: 50, height: 40 },
+    ]);
+
+    expect(findDiffRegions(mask, 200, 400)).toEqual([
+      { x: 96, y: 288, width: 64, height: 64, pixels: 2000 },
+      { x: 0, y: 0, width: 32, height: 16, pixels: 100 },
+    ]);
+  });
+
+  test("Merge touching cells and clamp boxes to the image edge", () => {
+    const mask = maskWith(40, 40, [
+      { x: 0, y: 0, width: 17, height: 1 },
+      { x: 33, y: 33, width: 7, height: 7 },
+      { x: 17, y: 17, width: 1, height: 1 },
+    ]);
+
+    expect(findDiffRegions(mask, 40, 40)).toEqual([
+      { x: 0, y: 0, width: 40, height: 40, pixels: 67 },
+    ]);
+  });
+
+  test("Return no regions for identical images", () => {
+    expect(findDiffRegions(new Uint8Array(32 * 32 * 4), 32, 32)).toEqual([]);
+  });
+});
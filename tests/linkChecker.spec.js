@@ -0,0 +1,125 @@
+const { test, expect } = require("@playwright/test");
+const {
+  classifyLink,
+  traceRedirects,
+  checkSiteLinks,
+  getLinkErrors,
+  describeLinkError,
+} = require("../utils/linkChecker");
+const { startFixtureServer, redirectTo } = require("./helpers/fixtureServer");
+
+// Redirect fixtures: /chain/0/ -> /chain/1/ -> ... -> /chain/5/ -> /ok/, and a loop between
+// /loop-a/ and /loop-b/; anything unknown is a 404
+const routes = {
+  "/ok/": (req, res) => res.writeHead(200, { "Content-Type": "text/html" }).end("ok"),
+  "/moved/": redirectTo("/ok/"),
+  "/loop-a/": redirectTo("/loop-b/"),
+  "/loop-b/": redirectTo("/loop-a/"),
+};
+
+function redirectChain(req, res) {
+  const chainStep = req.url.match(/^\/chain\/(\d+)\/$/);
+  if (!chainStep) return res.writeHead(404).end();
+  const step = Number(chainStep[1]);
+  return redirectTo(step < 5 ? `/chain/${step + 1}/` : "/ok/")(req, res);
+}
+
+test.describe("Link Checker", () => {
+  let fixture;
+  let staging;
+  let prod;
+  let config;
+
+  // Staging and prod are the same fixture server under two host names
+  test.beforeAll(async () => {
+    fixture = await startFixtureServer(routes, redirectChain);
+    staging = fixture.origin;
+    prod = `http://localhost:${fixture.server.address().port}`;
+    config = {
+      staging: { baseUrl: `${staging}/` },
+      prod: { baseUrl: `${prod}/` },
+      assets: { retries: 0, timeout: 5000 },
+      links: { maxRedirects: 3, checkExternal: false, ignore: ["*/wp-admin/*"] },
+    };
+  });
+
+  test.afterAll(async () => {
+    await fixture.close();
+  });
+
+  const link = (href) => ({ href, url: href, text: href });
+
+  test("Classify internal, cross-environment, external and skipped links", () => {
+    const pageUrl = `${staging}/ok/`;
+
+    expect(classifyLink(link(`${staging}/about/#team`), "staging", pageUrl, config)).toEqual({
+      type: "internal",
+      url: `${staging}/about/`,
+    });
+    expect(classifyLink(link(`${prod}/about/`), "staging", pageUrl, config)).toEqual({
+      type: "cross-environment",
+      url: `${prod}/about/`,
+    });
+    expect(classifyLink(link(`${staging}/about/`), "prod", pageUrl, config).type).toBe(
+      "cross-environment"
+    );
+    expect(classifyLink(link("https://other.example/"), "staging", pageUrl, config).type).toBe(
+      "external"
+    );
+    for (const href of ["mailto:a@example.com", "tel:123", "#top", `${staging}/wp-admin/x`]) {
+      expect(classifyLink(link(href), "staging", pageUrl, config).type, href).toBe("skip");
+    }
+  });
+
+  test("Trace redirect chains and detect loops", async () => {
+    const moved = await traceRedirects(`${staging}/moved/`, config);
+    expect(moved).toMatchObject({ finalUrl: `${staging}/ok/`, finalStatus: 200, loop: false });
+    expect(moved.chain.map((hop) => hop.status)).toEqual([301, 200]);
+
+    const loop = await traceRedirects(`${staging}/loop-a/`, config);
+    expect(loop).toMatchObject({ loop: true, reason: "redirect loop" });
+    expect(loop.chain.map((hop) => hop.url)).toEqual([`${staging}/loop-a/`, `${staging}/loop-b/`]);
+  });
+
+  test("Report broken links, loops, long chains and links to the other environment", async () => {
+    const report = await checkSiteLinks(
+      "staging",
+      [
+        {
+          pageUrl: `${staging}/ok/`,
+          links: [
+            link(`${staging}/ok/`),
+            link(`${staging}/moved/`),
+            link(`${staging}/chain/0/`),
+            link(`${staging}/loop-a/`),
+            link(`${staging}/gone/`),
+            link(`${prod}/ok/`),
+            link("https://other.example/"),
+          ],
+        },
+        { pageUrl: `${staging}/moved/`, links: [link(`${staging}/gone/`)] },
+      ],
+      config
+    );
+    const issuesOf = (url) =>
+      report.links.find((entry) => entry.url === url).issues.map((issue) => issue.type);
+
+    expect(report).toMatchObject({ env: "staging", pages: 2, checked: 6 });
+    expect(issuesOf(`${staging}/ok/`)).toEqual([]);
+    expect(issuesOf(`${staging}/moved/`)).toEqual(["redirect"]);
+    expect(issuesOf(`${staging}/chain/0/`)).toEqual(["long-redirect-chain"]);
+    expect(issuesOf(`${staging}/loop-a/`)).toEqual(["redirect-loop"]);
+    expect(issuesOf(`${staging}/gone/`)).toEqual(["broken"]);
+    expect(issuesOf(`${prod}/ok/`)).toEqual(["cross-environment"]);
+
+    // Long chains and plain redirects are warnings; the rest fail the check
+    expect(getLinkErrors(report).map((entry) => entry.url)).toEqual([
+      `${staging}/loop-a/`,
+      `${staging}/gone/`,
+      `${prod}/ok/`,
+    ]);
+    expect(describeLinkError(report.links.find((entry) => entry.url === `${staging}/gone/`))).toBe(
+      `${staging}/gone/: HTTP 404 (on ${staging}/ok/, ${staging}/moved/)`
+    );
+  });
+});
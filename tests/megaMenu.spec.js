@@ -0,0 +1,91 @@
+const { test, expect } = require("@playwright/test");
+const { normalizeMenuUrl, diffMenuTrees, formatMenuDiff } = require("../utils/megaMenu");
+
+const config = {
+  staging: { baseUrl: "https://staging.example.com/" },
+  prod: { baseUrl: "https://www.example.com/" },
+};
+
+const item = (label, url, children = []) => ({ label, url, children });
+
+// The same menu built against either environment's host
+function menuOn(origin) {
+  return [
+    item("Online Programs", null, [
+      item("MBA", `${origin}/degrees/business/mba/`),
+      item("Education", `${origin}/degrees/education/`),
+    ]),
+    item("Getting Started", `${origin}/admissions/`, [item("Apply", `${origin}/apply/?d=PS-ALL`)]),
+  ];
+}
+
+test.describe("Mega Menu Comparison", () => {
+  test("Normalize menu links relative to their own environment", () => {
+    expect(normalizeMenuUrl("https://staging.example.com/about/?a=1", config.staging.baseUrl)).toBe(
+      "/about/?a=1"
+    );
+    expect(normalizeMenuUrl("https://www.example.com//about/", config.prod.baseUrl)).toBe(
+      "/about/"
+    );
+    // A staging menu pointing at prod stays absolute, so it shows up in the diff
+    expect(normalizeMenuUrl("https://www.example.com/about/", config.staging.baseUrl)).toBe(
+      "https://www.example.com/about/"
+    );
+    expect(normalizeMenuUrl(null, config.staging.baseUrl)).toBeNull();
+  });
+
+  test("Treat the same menu on both hosts as equal", () => {
+    const diff = diffMenuTrees(
+      menuOn("https://staging.example.com"),
+      menuOn("https://www.example.com"),
+      config
+    );
+
+    expect(diff.changes).toBe(0);
+    expect(diff.lines.every((entry) => entry.type === " ")).toBe(true);
+  });
+
+  test("Show a reordered top-level item as a removed and an added line", () => {
+    const prodMenu = menuOn("https://www.example.com");
+    const diff = diffMenuTrees(
+      menuOn("https://staging.example.com"),
+      [prodMenu[1], prodMenu[0]],
+      config
+    );
+
+    expect(diff.changes).toBe(4);
+    expect(diff.lines.filter((entry) => entry.type === "-").map((entry) => entry.line)).toEqual([
+      "Getting Started -> /admissions/",
+      "  Apply -> /apply/?d=PS-ALL",
+    ]);
+    expect(diff.lines.filter((entry) => entry.type === "+").map((entry) => entry.line)).toEqual([
+      "Getting Started -> /admissions/",
+      "  Apply -> /apply/?d=PS-ALL",
+    ]);
+  });
+
+  test("Show nested children added on prod and removed from staging", () => {
+    const stagingMenu = menuOn("https://staging.example.com");
+    const prodMenu = menuOn("https://www.example.com");
+    prodMenu[0].children.push(
+      item("Certificates", "https://www.example.com/degrees/certificates/")
+    );
+    prodMenu[1].children = [];
+
+    const diff = diffMenuTrees(stagingMenu, prodMenu, config);
+
+    expect(diff.changes).toBe(2);
+    expect(formatMenuDiff(diff)).toBe(
+      [
+        "--- staging menu",
+        "+++ prod menu",
+        "  Online Programs -> (no link)",
+        "    MBA -> /degrees/business/mba/",
+        "    Education -> /degrees/education/",
+        "+   Certificates -> /degrees/certificates/",
+        "  Getting Started -> /admissions/",
+        "-   Apply -> /apply/?d=PS-ALL",
+      ].join("\n")
+    );
+  });
+});
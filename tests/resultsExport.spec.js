@@ -0,0 +1,119 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeResultsJson, writeJUnitReport } = require("../utils/resultsExport");
+
+const runName = "chromium/Desktop";
+const threshold = { pass: 95, pixelmatch: 0.1, maxHeightDelta: 5, source: "default" };
+
+const QUOTED_PATH = `/it's-a-"quoted"-page/`;
+const MARKUP_PATH = "/a<b>&c/?x=1&y=<2>";
+
+// One row per status: two passes, a failure, a capture error and a missing page
+const results = [
+  { pagePath: "/about/", similarityPercentage: 99.5, threshold },
+  { pagePath: QUOTED_PATH, similarityPercentage: 97, threshold },
+  { pagePath: MARKUP_PATH, similarityPercentage: 80.25, threshold },
+  { pagePath: "/error/", similarityPercentage: "Error", error: `staging: <timeout> & "abort"` },
+  { pagePath: "/gone/", missingOn: "prod", missingStatus: 404, similarityPercentage: null },
+];
+
+// Minimal XML well-formedness check: tags nest and close, attribute values are quoted without
+// raw "<", and every "&" starts an entity. Returns the problem, or null when the document is fine
+function findXmlProblem(xml) {
+  const body = xml.replace(/^<\?xml[^?]*\?>\s*/, "");
+  const tag = /<(\/?)([A-Za-z][\w.-]*)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>/y;
+  const stack = [];
+  let index = 0;
+
+  while (index < body.length) {
+    if (body[index] === "<") {
+      tag.lastIndex = index;
+      const match = tag.exec(body);
+      if (!match) return `malformed tag at ${index}: ${body.slice(index, index + 40)}`;
+      const [whole, closing, name, attributes, selfClosing] = match;
+      if (/&(?!(amp|lt|gt|quot|apos|#\d+);)/.test(attributes)) return `bare "&" in <${name}>`;
+      if (closing && stack.pop() !== name) return `unexpected </${name}>`;
+      if (!closing && !selfClosing) stack.push(name);
+      index += whole.length;
+    } else {
+      const next = body.indexOf("<", index);
+      const text = body.slice(index, next === -1 ? body.length : next);
+      if (/&(?!(amp|lt|gt|quot|apos|#\d+);)/.test(text)) return `bare "&" in text: ${text}`;
+      index = next === -1 ? body.length : next;
+    }
+  }
+
+  return stack.length > 0 ? `unclosed <${stack.join("> <")}>` : null;
+}
+
+test.describe("Results Export", () => {
+  let workDir;
+  let config;
+
+  test.beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "results-export-"));
+    config = {
+      staging: { baseUrl: "https://staging.example.com/" },
+      prod: { baseUrl: "https://www.example.com/" },
+      report: { outputDir: workDir },
+    };
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("Write per-status totals and per-page results as JSON", () => {
+    const resultsPath = writeResultsJson(results, runName, config, "staging-vs-prod");
+    const output = JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+
+    expect(resultsPath).toBe(path.join(workDir, "visual_comparison_results_chromium_Desktop.json"));
+    expect(output).toMatchObject({
+      runName,
+      mode: "staging-vs-prod",
+      reportPath: "visual_comparison_report_chromium_Desktop.html",
+      totals: { pages: 5, pass: 2, fail: 1, error: 1, missing: 1 },
+    });
+    expect(output.pages.map((page) => page.status)).toEqual([
+      "pass",
+      "pass",
+      "fail",
+      "error",
+      "missing",
+    ]);
+    expect(output.pages[4].environments.prod).toMatchObject({
+      url: "https://www.example.com/gone/",
+      status: 404,
+      missing: true,
+    });
+  });
+
+  test("Count failures and errors in the JUnit report", () => {
+    const xml = fs.readFileSync(writeJUnitReport(results, runName, config), "utf8");
+
+    expect(xml).toContain(
+      `<testsuites name="Visual Comparison" tests="5" failures="1" errors="2">`
+    );
+    expect(xml.match(/<testcase /g)).toHaveLength(5);
+    expect(xml.match(/<failure [^>]*type="VisualDifference"/g)).toHaveLength(1);
+    expect(xml.match(/<error [^>]*type="CaptureError"/g)).toHaveLength(1);
+    expect(xml.match(/<error [^>]*type="MissingPage"/g)).toHaveLength(1);
+    expect(xml).toContain(`message="/gone/: missing on prod (HTTP 404)"`);
+  });
+
+  test("Keep the JUnit report well-formed for paths with quotes, markup and ampersands", () => {
+    const xml = fs.readFileSync(writeJUnitReport(results, runName, config), "utf8");
+
+    expect(findXmlProblem(xml)).toBeNull();
+    expect(xml).toContain(`name="/it&#39;s-a-&quot;quoted&quot;-page/"`);
+    expect(xml).toContain(`name="/a&lt;b&gt;&amp;c/?x=1&amp;y=&lt;2&gt;"`);
+    expect(xml).toContain(`staging: &lt;timeout&gt; &amp; &quot;abort&quot;`);
+
+    // The checker itself catches what escaping prevents
+    expect(findXmlProblem(`<a name="x&y"></a>`)).toContain("bare");
+    expect(findXmlProblem(`<a><b></a>`)).toContain("unexpected");
+    expect(findXmlProblem(`<a name="<"/>`)).toContain("malformed");
+  });
+});
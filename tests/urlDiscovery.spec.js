@@ -0,0 +1,111 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const {
+  discoverUrls,
+  findMissingPages,
+  formatMissingReason,
+  parseSitemap,
+} = require("../utils/urlDiscovery");
+const { startFixtureServer, redirectTo } = require("./helpers/fixtureServer");
+
+const fixtureDir = path.join(__dirname, "fixtures", "sitemap");
+
+// Serve the fixture sitemaps from disk, filling in the server's own origin
+function serveSitemap(req, res, { origin }) {
+  const filePath = path.join(fixtureDir, path.basename(req.url));
+  if (!fs.existsSync(filePath)) return res.writeHead(404).end();
+  return res
+    .writeHead(200, { "Content-Type": "application/xml" })
+    .end(fs.readFileSync(filePath, "utf8").replace(/{{origin}}/g, origin));
+}
+
+test.describe("Sitemap URL Discovery", () => {
+  let fixture;
+  let origin;
+
+  test.beforeAll(async () => {
+    // /moved/ stands in for a deleted page that redirects elsewhere
+    fixture = await startFixtureServer({ "/moved/": redirectTo("/about/") }, serveSitemap);
+    origin = `${fixture.origin}/`;
+  });
+
+  test.afterAll(async () => {
+    await fixture.close();
+  });
+
+  test("Parse sitemap indexes and url sets", () => {
+    const index = parseSitemap(
+      "<sitemapindex><sitemap><loc>https://a.test/one.xml</loc></sitemap></sitemapindex>"
+    );
+    expect(index).toEqual({ isIndex: true, locations: ["https://a.test/one.xml"] });
+
+    const urlset = parseSitemap(
+      "<urlset><url><loc>https://a.test/?a=1&amp;b=2</loc></url></urlset>"
+    );
+    expect(urlset).toEqual({ isIndex: false, locations: ["https://a.test/?a=1&b=2"] });
+  });
+
+  test("Discover pages from a nested sitemap and apply include/exclude rules", async () => {
+    const urls = await discoverUrls({
+      staging: { baseUrl: origin, urls: ["/tuition/"] },
+      prod: { baseUrl: origin, urls: [] },
+      discovery: {
+        mode: "sitemap",
+        sitemapPath: "/sitemap.xml",
+        include: [],
+        exclude: ["*.xml", "/articles/page/*"],
+      },
+    });
+
+    expect(urls.staging).toEqual([
+      "/tuition/",
+      "/about/",
+      "/apply/?d=MOUNTSAINTVINCENT-M-MBAGEN&src=sitemap",
+      "/degrees/business/",
+      "/articles/",
+    ]);
+    expect(urls.prod).toEqual(urls.staging.slice(1));
+  });
+
+  test("Report pages that exist on only one environment", async () => {
+    const config = {
+      staging: { baseUrl: origin, urls: [] },
+      prod: { baseUrl: origin, urls: [] },
+    };
+    const urls = {
+      staging: ["/about/", "/staging-only/"],
+      prod: ["/about/", "/sitemap.xml", "/moved/"],
+    };
+    const { shared, missing, unlisted } = await findMissingPages(urls, config);
+
+    // /sitemap.xml answers 200 on staging too, so it is compared rather than reported missing
+    expect(shared).toEqual(["/about/", "/sitemap.xml"]);
+    // /moved/ redirects elsewhere on staging, which doesn't count as the page being there
+    expect(missing).toEqual([
+      { pagePath: "/staging-only/", missingOn: "prod", missingStatus: 404 },
+      {
+        pagePath: "/moved/",
+        missingOn: "staging",
+        missingStatus: 301,
+        redirectedTo: `${origin}about/`,
+      },
+    ]);
+    expect(missing.map(formatMissingReason)).toEqual(["HTTP 404", `HTTP 301 to ${origin}about/`]);
+    expect(unlisted).toEqual([{ pagePath: "/sitemap.xml", unlistedOn: "staging", status: 200 }]);
+
+    // Every device test in the worker asks again; the answer is shared instead of re-requested
+    expect(await findMissingPages({ ...urls }, config)).toBe(await findMissingPages(urls, config));
+    expect(fixture.counts["GET /moved/"]).toBe(1);
+  });
+
+  test("Fail with a readable error when the sitemap is missing", async () => {
+    await expect(
+      discoverUrls({
+        staging: { baseUrl: origin, urls: [] },
+        prod: { baseUrl: origin, urls: [] },
+        discovery: { mode: "sitemap", sitemapPath: "/missing.xml" },
+      })
+    ).rejects.toThrow(/Failed to fetch sitemap .*missing\.xml \(Status: 404\)/);
+  });
+});
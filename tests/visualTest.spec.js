@@ -1,17 +1,63 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect, chromium, firefox, webkit } = require("@playwright/test");
 const fs = require("fs");
 const path = require("path");
-const { PNG } = require("pngjs");
-const sharp = require("sharp");
-const config = require("../config.js");
-const axios = require("axios");
+const { loadConfig, buildUrl, normalizePagePath } = require("../utils/configLoader");
+const {
+  discoverUrls,
+  findMissingPages,
+  formatMissingReason,
+} = require("../utils/urlDiscovery");
+const { getRunName, getScreenshotPath } = require("../utils/screenshotPaths");
+const { getBaselinePath, hasBaseline } = require("../utils/baselineStore");
+const { compareScreenshots } = require("../utils/imageCompare");
+const {
+  generateHtmlReport,
+  generateIndexReport,
+  writeRunSummary,
+  removeRunSummary,
+} = require("../utils/htmlReport");
+const {
+  describeResult,
+  writeResultsJson,
+  writeJUnitReport,
+} = require("../utils/resultsExport");
+const { loadHistory, archiveRun } = require("../utils/runHistory");
+const { getReportOptions } = require("../utils/reportAssets");
+const { auditPageImages, formatImageAudit } = require("../utils/imageAudit");
+const {
+  collectPageLinks,
+  checkSiteLinks,
+  getLinkErrors,
+  describeLinkError,
+  writeLinkReport,
+} = require("../utils/linkChecker");
+const {
+  getMenuOptions,
+  extractMenuTree,
+  getTopLevelMenuItems,
+  diffMenuTrees,
+  formatMenuDiff,
+  collectMenuLinks,
+  checkMenuLinks,
+} = require("../utils/megaMenu");
+const { getPageMasks } = require("../utils/pageMasks");
+const { getPageThreshold, getResultStatus } = require("../utils/thresholds");
+const { runWithConcurrency } = require("../utils/workerPool");
+const { getDevices, getDeviceContextOptions } = require("../utils/devices");
+const {
+  getCaptureOptions,
+  stabilizePage,
+  takeStableScreenshot,
+} = require("../utils/pageStabilizer");
+const { installBlocking } = require("../utils/requestBlocker");
+
+// Validate config.js up front so bad entries fail the run before any browser launches
+const config = loadConfig();
 
-let pixelmatch;
 let chalk;
 
-// Dynamically load `pixelmatch` and `chalk`
+// Dynamically load `chalk`
 (async () => {
-  pixelmatch = (await import("pixelmatch")).default;
   chalk = (await import("chalk")).default;
 })();
 
@@ -25,461 +71,552 @@ function ensureDirectoryExistence(filePath) {
   }
 }
 
-// Convert image to Base64
-function imageToBase64(imagePath) {
-  if (fs.existsSync(imagePath)) {
-    const imageData = fs.readFileSync(imagePath).toString("base64");
-    const ext = path.extname(imagePath).replace(".", ""); // Get file extension (e.g., png)
-    return `data:image/${ext};base64,${imageData}`;
-  }
-  return null; // Return null if image is missing
-}
+// Capture screenshot for a given URL
+// The page is stabilized first (see config.capture) so lazy images, fonts and animations don't add noise.
+// Masked selectors are hidden or blanked out, and their page coordinates are returned
+// so the comparison can skip them and the report can show what was left out.
+// Returns { ok, status, finalUrl, durationMs, error, maskedRegions, timedOutSteps }; the previous
+// screenshot is deleted up front so a failed capture can never be compared as if it were fresh
+async function captureScreenshot(page, url, screenshotPath, masks = { hide: [], blank: [] }) {
+  const captureOptions = getCaptureOptions(config);
+  const startedAt = Date.now();
+  const outcome = {
+    ok: false,
+    url,
+    status: null,
+    finalUrl: null,
+    error: null,
+    maskedRegions: [],
+    timedOutSteps: [],
+  };
+
+  fs.rmSync(screenshotPath, { force: true });
 
-// Resize images to match specified dimensions (1280x800)
-async function resizeImage(imagePath, width, height) {
-  const buffer = fs.readFileSync(imagePath);
-  const resizedBuffer = await sharp(buffer)
-    .resize(width, height, {
-      fit: "contain",
-      background: { r: 255, g: 255, b: 255, alpha: 0 },
-    })
-    .toBuffer();
-  fs.writeFileSync(imagePath, resizedBuffer);
-}
+  try {
+    console.log(chalk.blue(`Navigating to: ${url}`));
+    const response = await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
+    outcome.status = response ? response.status() : null;
+    outcome.finalUrl = page.url();
+    const { timedOut } = await stabilizePage(page, captureOptions);
+    outcome.timedOutSteps = timedOut;
+    if (timedOut.length > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️ ${url}: ${timedOut.join(", ")} timed out after ${
+            captureOptions.stepTimeout
+          }ms; capturing anyway`
+        )
+      );
+    }
 
-// Compare two screenshots and return similarity percentage
-async function compareScreenshots(baselinePath, currentPath, diffPath) {
-  if (!fs.existsSync(baselinePath) || !fs.existsSync(currentPath)) {
-    console.log(
-      chalk.red(`Missing file(s): ${baselinePath} or ${currentPath}`)
+    // Element rects are in CSS pixels but screenshots are in device pixels, so scale them
+    const maskedRegions = await page.evaluate((selectors) => {
+      const scale = window.devicePixelRatio || 1;
+      return selectors.flatMap((selector) =>
+        Array.from(document.querySelectorAll(selector)).map((element) => {
+          const rect = element.getBoundingClientRect();
+          return {
+            x: Math.round((rect.left + window.scrollX) * scale),
+            y: Math.round((rect.top + window.scrollY) * scale),
+            width: Math.round(rect.width * scale),
+            height: Math.round(rect.height * scale),
+          };
+        })
+      );
+    }, [...masks.hide, ...masks.blank]);
+
+    const { buffer, stable } = await takeStableScreenshot(
+      page,
+      {
+        fullPage: true,
+        mask: masks.blank.map((selector) => page.locator(selector)),
+        style: masks.hide.length
+          ? `${masks.hide.join(", ")} { visibility: hidden !important; }`
+          : undefined,
+      },
+      captureOptions
     );
-    return "Error";
-  }
-
-  await resizeImage(baselinePath, 1280, 800);
-  await resizeImage(currentPath, 1280, 800);
-
-  const img1 = PNG.sync.read(fs.readFileSync(baselinePath)); // Staging
-  const img2 = PNG.sync.read(fs.readFileSync(currentPath)); // Prod
+    if (!stable) {
+      console.log(
+        chalk.yellow(
+          `⚠️ ${url} kept changing across ${captureOptions.maxScreenshotAttempts} screenshots; using the last one.`
+        )
+      );
+    }
 
-  if (img1.width !== img2.width || img1.height !== img2.height) {
-    console.log(
-      chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
+    // Error pages are still captured so reviewers can see them, but they never count as a pass
+    ensureDirectoryExistence(screenshotPath);
+    fs.writeFileSync(screenshotPath, buffer);
+    outcome.maskedRegions = maskedRegions;
+
+    if (outcome.status !== null && outcome.status >= 400) {
+      outcome.error = `HTTP ${outcome.status}`;
+      console.log(chalk.red(`❌ ${url} returned ${outcome.error}`));
+    } else {
+      outcome.ok = true;
+      console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
+    }
+  } catch (error) {
+    outcome.error = error.message.split("\n")[0];
+    console.error(
+      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
     );
-    return "Size mismatch";
   }
 
-  const diff = new PNG({ width: img1.width, height: img1.height });
-
-  pixelmatch(img1.data, img2.data, diff.data, img1.width, img1.height, {
-    threshold: 0.1,
-    diffColor: [0, 0, 255], // Blue for Prod Differences
-    diffColorAlt: [255, 165, 0], // Orange for Staging Differences
-  });
-
-  fs.writeFileSync(diffPath, PNG.sync.write(diff));
-
-  const totalPixels = img1.width * img1.height;
-  const mismatchedPixels = pixelmatch(
-    img1.data,
-    img2.data,
-    null,
-    img1.width,
-    img1.height,
-    { threshold: 0.1 }
-  );
+  outcome.durationMs = Date.now() - startedAt;
+  return outcome;
+}
 
-  const matchedPixels = totalPixels - mismatchedPixels;
-  return (matchedPixels / totalPixels) * 100;
+// Open a page with trackers, chat widgets and consent banners blocked (see config.blocking)
+async function newBlockedPage(context) {
+  const page = await context.newPage();
+  await installBlocking(page, config);
+  return page;
 }
 
-// Capture screenshot for a given URL
-async function captureScreenshot(page, url, screenshotPath) {
-  try {
-    console.log(chalk.blue(`Navigating to: ${url}`));
-    await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
+// Work out what to capture and compare for a page in the current comparison mode
+// Each side is { type, path } plus the { page, url } to capture it from when it is live
+function getComparisonSides(lane, pagePath, runName, mode) {
+  const { baselineEnv, crossBrowser } = config.comparison;
+
+  if (mode === "baseline") {
+    return [
+      {
+        type: "current",
+        page: lane[baselineEnv],
+        url: buildUrl(config[baselineEnv].baseUrl, pagePath),
+        path: getScreenshotPath(runName, baselineEnv, pagePath),
+      },
+      { type: "baseline", path: getBaselinePath(runName, pagePath) },
+    ];
+  }
 
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
-  } catch (error) {
-    console.error(
-      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
-    );
+  if (mode === "cross-browser") {
+    const url = buildUrl(config[crossBrowser.env].baseUrl, pagePath);
+    return [
+      {
+        type: "current",
+        page: lane.current,
+        url,
+        path: getScreenshotPath(runName, crossBrowser.env, pagePath),
+      },
+      {
+        type: "reference",
+        page: lane.reference,
+        url,
+        path: getScreenshotPath(
+          runName,
+          `${crossBrowser.env}-${crossBrowser.referenceBrowser}`,
+          pagePath
+        ),
+      },
+    ];
   }
+
+  return ["staging", "prod"].map((env) => ({
+    type: env,
+    page: lane[env],
+    url: buildUrl(config[env].baseUrl, pagePath),
+    path: getScreenshotPath(runName, env, pagePath),
+  }));
 }
 
-// Generate HTML report with Base64 embedded images
-function generateHtmlReport(results, deviceName) {
-  const reportPath = `visual_comparison_report_${deviceName}.html`;
-  const now = new Date().toLocaleString();
-
-  // Count passed, failed, and errors
-  const passed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage >= 95
-  ).length;
-  const failed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage < 95
-  ).length;
-  const errors = results.filter(
-    (r) => r.similarityPercentage === "Error"
-  ).length;
-
-  // **SORT RESULTS: Failed first, then errors, then passed**
-  results.sort((a, b) => {
-    if (a.similarityPercentage === "Error") return -1;
-    if (b.similarityPercentage === "Error") return 1;
-    if (
-      typeof a.similarityPercentage === "number" &&
-      typeof b.similarityPercentage === "number"
-    ) {
-      return a.similarityPercentage - b.similarityPercentage; // Lower similarity first
-    }
-    return 0;
-  });
+// Capture and compare one page using a lane's pages and return its result row
+// Live sides (staging and prod, or both browsers) are captured at the same time
+async function comparePage(lane, pagePath, runName, mode) {
+  const masks = getPageMasks(config, pagePath);
+  const threshold = getPageThreshold(config, pagePath);
+  const diffScreenshotPath = getScreenshotPath(runName, "diff", pagePath);
+  const sides = getComparisonSides(lane, pagePath, runName, mode);
 
-  let htmlContent = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <title>Visual Comparison Report - ${deviceName}</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        h1, h2 { text-align: center; }
-        .summary { text-align: center; margin-bottom: 20px; }
-        .summary p { font-size: 16px; }
-        .summary span { font-weight: bold; }
-        .summary .passed { color: green; }
-        .summary .failed { color: red; }
-        .summary .errors { color: orange; }
-        .staging { color: orange; font-weight: bold; }
-        .prod { color: blue; font-weight: bold; }
-        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
-        th { background-color: #f2f2f2; }
-        .image-container { display: flex; justify-content: center; align-items: center; gap: 15px; }
-        .image-wrapper { display: flex; flex-direction: column; align-items: center; }
-        .image-container img { width: 350px; cursor: pointer; border: 1px solid #ddd; }
-        .image-label { font-size: 14px; font-weight: bold; margin-top: 5px; text-align: center; }
-        .status-pass { color: green; font-weight: bold; }
-        .status-fail { color: red; font-weight: bold; }
-        .status-error { color: orange; font-weight: bold; }
-        .criteria { font-size: 14px; text-align: center; margin-top: 10px; font-weight: bold; }
-        .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.8); }
-        .modal img { display: block; max-width: 90%; max-height: 90%; margin: auto; }
-        .modal-close { position: absolute; top: 20px; right: 30px; font-size: 30px; color: white; cursor: pointer; }
-      </style>
-    </head>
-    <body>
-      <h1>Visual Comparison Report</h1>
-      <h2>Device: ${deviceName}</h2>
-      <div class="summary">
-        <p><span class="staging">Staging:</span> ${config.staging.baseUrl} | <span class="prod">Prod:</span> ${config.prod.baseUrl}</p>
-        <p>Total Pages Tested: <span>${results.length}</span></p>
-        <p>Passed: <span class="passed">${passed}</span> | Failed: <span class="failed">${failed}</span> | Errors: <span class="errors">${errors}</span></p>
-        <p>Last Run: ${now}</p>
-        <a href="${reportPath}" download>Download Report</a>
-      </div>
-      <p class="criteria">✅ Success Criteria: A similarity score of 95% or higher is considered a pass.</p>
-      <table>
-        <thead>
-          <tr>
-            <th>Page</th>
-            <th>Similarity</th>
-            <th>Status</th>
-            <th>Images</th>
-          </tr>
-        </thead>
-        <tbody>
-  `;
-
-  results.forEach((result) => {
-    const sanitizedPath = result.pagePath.replace(/\//g, "_");
-    const stagingBase64 = imageToBase64(
-      `screenshots/${deviceName}/staging/${sanitizedPath}.png`
+  // A diff from an earlier run must never sit next to this run's captures
+  fs.rmSync(diffScreenshotPath, { force: true });
+
+  try {
+    const captures = await Promise.all(
+      sides.map((side) =>
+        side.page
+          ? captureScreenshot(side.page, side.url, side.path, masks)
+          : { ok: true, maskedRegions: [] }
+      )
     );
-    const prodBase64 = imageToBase64(
-      `screenshots/${deviceName}/prod/${sanitizedPath}.png`
+    // Per-side capture outcomes (status, redirects, timing) for the report
+    const captureOutcomes = Object.fromEntries(
+      sides
+        .map((side, index) => [side.type, captures[index]])
+        .filter(([, capture]) => capture.url)
     );
-    const diffBase64 = imageToBase64(
-      `screenshots/${deviceName}/diff/${sanitizedPath}.png`
+    const images = Object.fromEntries(
+      sides
+        .filter((side) => fs.existsSync(side.path))
+        .map((side) => [side.type, side.path])
     );
 
-    let statusClass = "status-error";
-    let statusText = "Error";
+    const failures = sides
+      .map((side, index) => (captures[index].ok ? null : `${side.type}: ${captures[index].error}`))
+      .filter(Boolean);
+    if (failures.length > 0) {
+      return {
+        pagePath,
+        similarityPercentage: "Error",
+        error: failures.join("; "),
+        captures: captureOutcomes,
+        images,
+      };
+    }
 
-    if (typeof result.similarityPercentage === "number") {
-      if (result.similarityPercentage >= 95) {
-        statusClass = "status-pass";
-        statusText = "Pass";
-      } else {
-        statusClass = "status-fail";
-        statusText = "Fail";
-      }
+    if (mode === "baseline" && !hasBaseline(runName, pagePath)) {
+      console.log(chalk.yellow(`⚠️ No approved baseline for ${pagePath}`));
+      return {
+        pagePath,
+        similarityPercentage: "Error",
+        error: "No approved baseline",
+        captures: captureOutcomes,
+        images,
+      };
     }
 
-    htmlContent += `
-    <tr>
-      <td>
-        <a href="${config.staging.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="staging">Staging</a> | 
-        <a href="${config.prod.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="prod">Prod</a>
-      </td>
-      <td>${
-        typeof result.similarityPercentage === "number"
-          ? result.similarityPercentage.toFixed(2) + "%"
-          : "Error"
-      }</td>
-      <td class="${statusClass}">${statusText}</td>
-      <td>
-        <div class="image-container">
-          ${
-            stagingBase64
-              ? `<div class="image-wrapper">
-                   <img src="${stagingBase64}" onclick="openModal('${stagingBase64}')" alt="Staging">
-                   <div class="image-label">Staging</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            prodBase64
-              ? `<div class="image-wrapper">
-                   <img src="${prodBase64}" onclick="openModal('${prodBase64}')" alt="Prod">
-                   <div class="image-label">Prod</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            diffBase64
-              ? `<div class="image-wrapper">
-                   <img src="${diffBase64}" onclick="openModal('${diffBase64}')" alt="Diff">
-                   <div class="image-label">Diff</div>
-                 </div>`
-              : "N/A"
-          }
-        </div>
-      </td>
-    </tr>
-  `;
-  });
+    const comparison = await compareScreenshots(
+      sides[0].path,
+      sides[1].path,
+      diffScreenshotPath,
+      {
+        ignoreRegions: [
+          ...masks.regions,
+          ...captures.flatMap((capture) => capture.maskedRegions),
+        ],
+        threshold: threshold.pixelmatch,
+      }
+    );
+    if (comparison.error) console.log(chalk.red(comparison.error));
+
+    return {
+      pagePath,
+      threshold,
+      ...comparison,
+      captures: captureOutcomes,
+      images: { ...images, diff: diffScreenshotPath },
+    };
+  } catch (error) {
+    return {
+      pagePath,
+      similarityPercentage: "Error",
+      error: error.message,
+    };
+  }
+}
 
-  htmlContent += `
-        </tbody>
-      </table>
+// Browsers bundled with Playwright, used as the reference side of cross-browser comparisons
+const BROWSER_TYPES = { chromium, firefox, webkit };
 
-      <div id="modal" class="modal">
-        <span class="modal-close" onclick="closeModal()">&times;</span>
-        <img id="modal-image">
-      </div>
+// Main Test Suite
+test.describe("Visual Comparison Tests", () => {
+  test.setTimeout(7200000);
 
-      <script>
-        function openModal(imageSrc) { 
-          document.getElementById("modal-image").src = imageSrc; 
-          document.getElementById("modal").style.display = "block"; 
-        }
-        function closeModal() { 
-          document.getElementById("modal").style.display = "none"; 
-        }
-      </script>
+  for (const device of getDevices(config)) {
+    test(`Compare staging and prod screenshots and generate HTML report (${device.name})`, async ({
+      browser,
+      browserName,
+    }, testInfo) => {
+      const results = [];
+      const runName = getRunName(testInfo.project.name, device.name);
+      const { mode, baselineEnv, crossBrowser, gating = "fail" } = config.comparison;
+
+      if (!["staging-vs-prod", "baseline", "cross-browser"].includes(mode)) {
+        throw new Error(
+          `Unknown comparison mode "${mode}" in config.js (expected "staging-vs-prod", "baseline" or "cross-browser")`
+        );
+      }
+      if (mode === "cross-browser" && !BROWSER_TYPES[crossBrowser.referenceBrowser]) {
+        throw new Error(
+          `Unknown reference browser "${crossBrowser.referenceBrowser}" in config.js (expected chromium, firefox or webkit)`
+        );
+      }
+      if (!["fail", "soft", "report-only"].includes(gating)) {
+        throw new Error(
+          `Unknown gating "${gating}" in config.js (expected "fail", "soft" or "report-only")`
+        );
+      }
+      const reportMode = getReportOptions(config).mode;
+      if (!["assets", "single-file"].includes(reportMode)) {
+        throw new Error(
+          `Unknown report mode "${reportMode}" in config.js (expected "assets" or "single-file")`
+        );
+      }
 
-    </body>
-    </html>
-  `;
+      // Comparing a browser with itself tells us nothing, so the reference project sits this one out
+      test.skip(
+        mode === "cross-browser" &&
+          browserName === crossBrowser.referenceBrowser &&
+          !testInfo.project.use.channel,
+        `${browserName} is the cross-browser reference`
+      );
 
-  fs.writeFileSync(reportPath, htmlContent);
-}
+      removeRunSummary(runName, config);
+      const urls = await discoverUrls(config);
 
-// Main Test Suite
-test.describe("Visual Comparison Tests", () => {
-  test.setTimeout(7200000);
-  test("Compare staging and prod screenshots and generate HTML report", async ({
-    browser,
-  }) => {
-    const results = [];
-    const deviceName = "Desktop";
+      // Baseline and cross-browser modes only capture one environment, so there is nothing to cross-check
+      const { shared, missing, unlisted } =
+        mode === "baseline"
+          ? { shared: urls[baselineEnv], missing: [], unlisted: [] }
+          : mode === "cross-browser"
+          ? { shared: urls[crossBrowser.env], missing: [], unlisted: [] }
+          : await findMissingPages(urls, config);
 
-    console.log(chalk.blue("Running tests..."));
+      // Pages listed on one side only but live on both are compared; just flag the list gap
+      for (const row of unlisted) {
+        console.log(
+          chalk.yellow(
+            `⚠️ ${row.pagePath} is not listed for ${row.unlistedOn} but returns HTTP ${row.status}; comparing it anyway`
+          )
+        );
+      }
 
-    const baseDir = `screenshots/${deviceName}`;
-    ["staging", "prod", "diff"].forEach((dir) => {
-      if (!fs.existsSync(path.join(baseDir, dir))) {
-        fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
+      // Pages that really don't exist on one environment can't be compared, so report them instead
+      for (const row of missing) {
+        console.log(
+          chalk.yellow(
+            `⚠️ ${row.pagePath} is missing on ${row.missingOn} (${formatMissingReason(row)})`
+          )
+        );
+        results.push({ ...row, similarityPercentage: null });
       }
-    });
 
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 800 },
-    });
-    const page = await context.newPage();
-
-    for (const pagePath of config.staging.urls) {
-      const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
-      const prodUrl = `${config.prod.baseUrl}${pagePath}`;
-      const stagingScreenshotPath = path.join(
-        baseDir,
-        "staging",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const prodScreenshotPath = path.join(
-        baseDir,
-        "prod",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const diffScreenshotPath = path.join(
-        baseDir,
-        "diff",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
+      console.log(chalk.blue(`Running tests on ${shared.length} pages...`));
+
+      // **Bounded pool: each lane has its own context with one page per side of the comparison**
+      const concurrency = config.comparison.concurrency || 1;
+      const referenceBrowser =
+        mode === "cross-browser"
+          ? await BROWSER_TYPES[crossBrowser.referenceBrowser].launch()
+          : null;
+      const lanes = [];
+      // Every context opened for the lanes, closed in `finally` even if a step below throws
+      const contexts = [];
+      const newLaneContext = async (browserType, options) => {
+        const context = await browserType.newContext(options);
+        contexts.push(context);
+        return context;
+      };
 
       try {
-        await captureScreenshot(page, stagingUrl, stagingScreenshotPath);
-        await captureScreenshot(page, prodUrl, prodScreenshotPath);
+        for (let i = 0; i < Math.max(1, Math.min(concurrency, shared.length)); i++) {
+          const context = await newLaneContext(
+            browser,
+            getDeviceContextOptions(device, browserName)
+          );
+
+          if (referenceBrowser) {
+            const referenceContext = await newLaneContext(
+              referenceBrowser,
+              getDeviceContextOptions(device, crossBrowser.referenceBrowser)
+            );
+            lanes.push({
+              context,
+              referenceContext,
+              current: await newBlockedPage(context),
+              reference: await newBlockedPage(referenceContext),
+            });
+          } else {
+            lanes.push({
+              context,
+              staging: await newBlockedPage(context),
+              prod: await newBlockedPage(context),
+            });
+          }
+        }
 
-        const similarity = await compareScreenshots(
-          stagingScreenshotPath,
-          prodScreenshotPath,
-          diffScreenshotPath
+        // Budget ~3 minutes per page per lane instead of a fixed two-hour timeout
+        test.setTimeout(
+          Math.max(600000, Math.ceil(shared.length / lanes.length) * 180000)
         );
 
-        results.push({ pagePath, similarityPercentage: similarity });
-      } catch (error) {
-        results.push({
-          pagePath,
-          similarityPercentage: "Error",
-          error: error.message,
-        });
+        results.push(
+          ...(await runWithConcurrency(shared, lanes.length, (pagePath, laneIndex) =>
+            comparePage(lanes[laneIndex], pagePath, runName, mode)
+          ))
+        );
+
+        await generateHtmlReport(results, runName, config, mode, loadHistory(runName, config));
+        writeRunSummary(results, runName, config);
+        writeResultsJson(results, runName, config, mode);
+        writeJUnitReport(results, runName, config);
+        archiveRun(results, runName, config);
+        // Every project x device this config can produce; summaries of any other run are stale
+        generateIndexReport(
+          config,
+          testInfo.config.projects.flatMap((project) =>
+            getDevices(config).map((entry) => getRunName(project.name, entry.name))
+          )
+        );
+      } finally {
+        await Promise.all(contexts.map((context) => context.close()));
+        if (referenceBrowser) await referenceBrowser.close();
       }
-    }
 
-    generateHtmlReport(results, deviceName);
-    await context.close();
-  });
+      // **Gate the run on the results, after the report is written**
+      const offenders = results.filter(
+        (result) => getResultStatus(result, config) !== "pass"
+      );
+
+      if (gating === "soft") {
+        for (const result of results) {
+          expect
+            .soft(getResultStatus(result, config), describeResult(result, config))
+            .toBe("pass");
+        }
+      } else if (gating === "fail") {
+        expect(
+          offenders.length,
+          `${offenders.length} of ${results.length} pages failed visual comparison:\n` +
+            offenders.map((result) => `  - ${describeResult(result, config)}`).join("\n")
+        ).toBe(0);
+      } else if (offenders.length > 0) {
+        console.log(
+          chalk.yellow(`⚠️ Report-only mode: ${offenders.length} pages need review.`)
+        );
+      }
+    });
+  }
 
   test("Verify broken image links automatically on staging pages from config.js", async ({
     page,
-  }) => {
-    const stagingUrls = config.staging.urls.map(
-      (url) => `${config.staging.baseUrl}${url}`
+    browserName,
+  }, testInfo) => {
+    // An image URL answers the same whatever the browser, so only the chromium project requests
+    // them; every project still checks that its browser could render the images
+    const checkUrls = browserName === "chromium" && !testInfo.project.use.channel;
+    await installBlocking(page, config);
+    const urls = await discoverUrls(config);
+    const stagingUrls = urls.staging.map((url) =>
+      buildUrl(config.staging.baseUrl, url)
     );
+    // Lazy images only load once scrolled into view; animations and fonts don't matter here
+    const auditOptions = {
+      ...getCaptureOptions(config),
+      disableAnimations: false,
+      waitForFonts: false,
+    };
+    const audits = [];
 
-    for (const url of stagingUrls) {
-      console.log(chalk.blue(`Navigating to: ${url}`));
-      await page.goto(url, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green(`Page loaded successfully: ${url}`));
-
-      console.log(chalk.blue("Finding all image elements on the page..."));
-      const images = await page.locator("img");
-      const imageCount = await images.count();
-      console.log(chalk.green(`Found ${imageCount} images on the page.`));
-
-      let brokenImages = 0;
-      let trackingPixels = 0;
-      let checkedImages = 0;
+    test.setTimeout(Math.max(600000, stagingUrls.length * 60000));
 
-      // Extract and prepare all image URLs
-      const imageUrls = [];
-      for (let i = 0; i < imageCount; i++) {
-        let imageUrl = await images.nth(i).getAttribute("src");
+    for (const url of stagingUrls) {
+      console.log(chalk.blue(`Auditing images on: ${url}`));
 
-        if (!imageUrl) {
+      let audit;
+      try {
+        await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+        const { timedOut } = await stabilizePage(page, auditOptions);
+        if (timedOut.length > 0) {
           console.log(
-            chalk.yellow(`Warning: Image ${i + 1} is missing a src attribute.`)
+            chalk.yellow(`⚠️ ${url}: ${timedOut.join(", ")} timed out; auditing anyway`)
           );
-          brokenImages++;
-          continue;
         }
+        audit = await auditPageImages(page, url, config, { checkUrls });
+      } catch (error) {
+        audit = {
+          pageUrl: url,
+          checked: 0,
+          skipped: 0,
+          oversized: [],
+          broken: [
+            {
+              url,
+              reason: `page could not be audited (${error.message.split("\n")[0]})`,
+              sources: [{ kind: "page", element: "document" }],
+            },
+          ],
+        };
+      }
+      audits.push(audit);
 
-        // Resolve relative URLs
-        if (!imageUrl.startsWith("http") && !imageUrl.startsWith("//")) {
-          imageUrl = new URL(imageUrl, url).toString();
-        } else if (imageUrl.startsWith("//")) {
-          imageUrl = `https:${imageUrl}`;
-        }
+      if (audit.broken.length > 0) {
+        console.log(chalk.red(`❌ ${formatImageAudit(audit)}`));
+      } else if (audit.oversized.length > 0) {
+        console.log(chalk.yellow(`⚠️ ${formatImageAudit(audit)}`));
+      } else {
+        console.log(
+          chalk.green(
+            checkUrls
+              ? `✅ ${url}: ${audit.checked} images OK (${audit.skipped} blocked trackers skipped)`
+              : `✅ ${url}: every image rendered (URLs are checked in the chromium project)`
+          )
+        );
+      }
 
-        // Ignore tracking pixels
-        if (
-          imageUrl.includes("bat.bing.com") ||
-          imageUrl.includes("tracking")
-        ) {
-          console.log(chalk.yellow(`Skipping tracking pixel: ${imageUrl}`));
-          trackingPixels++;
-          continue;
-        }
+      // Fail per page but keep auditing the rest of the site
+      expect.soft(audit.broken, formatImageAudit(audit)).toEqual([]);
+    }
 
-        imageUrls.push({ index: i + 1, imageUrl });
-      }
+    // **Consolidated summary across all pages**
+    const failingPages = audits.filter((audit) => audit.broken.length > 0);
+    console.log(chalk.blue("Image audit summary:"));
+    console.log(
+      chalk.green(`✅ Pages with no broken images: ${audits.length - failingPages.length}`)
+    );
+    console.log(chalk.red(`❌ Pages with broken images: ${failingPages.length}`));
+    console.log(
+      chalk.yellow(
+        `⚠️ Pages with oversized images: ${
+          audits.filter((audit) => audit.oversized.length > 0).length
+        }`
+      )
+    );
+    failingPages.forEach((audit) => console.log(chalk.red(formatImageAudit(audit))));
+  });
 
-      console.log(chalk.blue(`Checking ${imageUrls.length} valid images...`));
-
-      // **Check all images concurrently for faster performance**
-      const imageChecks = await Promise.allSettled(
-        imageUrls.map(({ index, imageUrl }) =>
-          axios
-            .get(imageUrl)
-            .then((response) => ({
-              index,
-              imageUrl,
-              status: response.status,
-            }))
-            .catch((error) => ({
-              index,
-              imageUrl,
-              error: error.response
-                ? `Status: ${error.response.status}`
-                : error.message,
-            }))
-        )
-      );
+  test("Check links on every configured page for staging and prod", async ({
+    page,
+    browserName,
+  }, testInfo) => {
+    // Link status doesn't depend on the browser, so one project crawls and writes the link reports
+    test.skip(
+      browserName !== "chromium" || !!testInfo.project.use.channel,
+      "links are only checked from the chromium project"
+    );
+    await installBlocking(page, config);
+    const urls = await discoverUrls(config);
+    const environments = ["staging", "prod"];
 
-      // **Process results**
-      for (const result of imageChecks) {
-        if (result.status === "fulfilled") {
-          console.log(
-            chalk.green(
-              `✅ Image ${result.value.index} loaded successfully: ${result.value.imageUrl}`
-            )
-          );
-        } else {
-          console.log(
-            chalk.red(
-              `❌ Image ${result.reason.index} failed: ${result.reason.imageUrl} (${result.reason.error})`
-            )
-          );
-          brokenImages++;
+    test.setTimeout(
+      Math.max(600000, (urls.staging.length + urls.prod.length) * 60000)
+    );
+
+    for (const env of environments) {
+      const pages = [];
+      for (const pagePath of urls[env]) {
+        const pageUrl = buildUrl(config[env].baseUrl, pagePath);
+        console.log(chalk.blue(`Collecting links on: ${pageUrl}`));
+        try {
+          await page.goto(pageUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
+          pages.push({ pageUrl, links: await collectPageLinks(page) });
+        } catch (error) {
+          console.error(chalk.red(`Failed to load ${pageUrl}: ${error.message}`));
         }
-        checkedImages++;
       }
 
-      // **Final results per page**
-      console.log(chalk.blue(`Summary for ${url}:`));
+      const linkReport = await checkSiteLinks(env, pages, config);
+      const { htmlPath } = writeLinkReport(linkReport, config);
+      const linkErrors = getLinkErrors(linkReport);
       console.log(
-        chalk.green(`✅ Valid images: ${checkedImages - brokenImages}`)
-      );
-      console.log(chalk.red(`❌ Broken images: ${brokenImages}`));
-      console.log(
-        chalk.yellow(`⚠️ Skipped tracking pixels: ${trackingPixels}`)
+        chalk[linkErrors.length > 0 ? "red" : "green"](
+          `${env}: ${linkErrors.length} failing of ${linkReport.checked} links checked (${htmlPath})`
+        )
       );
 
-      if (brokenImages > 0) {
-        console.log(
-          chalk.red(
-            `🚨 Test failed for ${url}. ${brokenImages} broken images detected.`
-          )
-        );
-      } else {
-        console.log(
-          chalk.green(`✅ Test passed for ${url}. No broken images found.`)
-        );
-      }
+      expect
+        .soft(
+          linkErrors.length,
+          `${linkErrors.length} failing links on ${env}:\n` +
+            linkErrors.map((link) => `  - ${describeLinkError(link)}`).join("\n")
+        )
+        .toBe(0);
     }
   });
 
   test("Test First Request Info Form Submission (Multi-Browser)", async ({ page }, testInfo) => {
+    await installBlocking(page, config);
     const stagingUrl = `${config.staging.baseUrl}`;
     const confirmationTextExpected = "Thanks for your submission!";
   
@@ -555,6 +692,7 @@ test.describe("Visual Comparison Tests", () => {
   test("Click 'Apply Now' (Hero, Body & Footer), fill out forms, and verify submissions (UMSV Staging)", async ({
     page,
   }) => {
+    await installBlocking(page, config);
     try {
       const homePageUrl = "https://live-web-umsv.pantheonsite.io/";
       const applyPageUrl = "https://live-web-umsv.pantheonsite.io/apply/";
@@ -706,90 +844,210 @@ test.describe("Visual Comparison Tests", () => {
     }
   });
 
-  test("Verify Online Programs and Getting Started Menus - UMSV", async ({
+  test("Verify mega menus match between staging and prod and every link resolves", async ({
     page,
   }) => {
-    const homePageUrl = "https://live-web-umsv.pantheonsite.io/";
-    console.log(`Navigating to UMSV homepage: ${homePageUrl}`);
-    await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
-    console.log("✅ Homepage loaded successfully.");
-
-    /**
-     * Function to open a dropdown menu and validate its links
-     */
-    const verifyMenu = async (menuName, menuSelector, submenuSelector) => {
-      console.log(`Locating '${menuName}' menu...`);
-
-      // Locate menu element
-      const menuElement = page.locator(menuSelector).first();
-      await menuElement.waitFor({ state: "attached", timeout: 10000 });
-      console.log(`✅ '${menuName}' menu found.`);
-
-      // Click the menu to expand it
-      console.log(`Clicking '${menuName}' menu...`);
-      await menuElement.click({ force: true });
-
-      // Wait for submenu to appear
-      console.log(`Waiting for '${menuName}' submenu to become visible...`);
-      const submenu = page.locator(submenuSelector).first();
-      await submenu.waitFor({ state: "visible", timeout: 5000 });
-      console.log(`✅ '${menuName}' submenu is now visible.`);
-
-      // Verify submenu links
-      const links = submenu.locator("a.mega-menu-link");
-      const linkCount = await links.count();
-
-      if (linkCount === 0) {
-        throw new Error(`❌ No links found in '${menuName}' menu.`);
-      }
-      console.log(`✅ Found ${linkCount} links in '${menuName}' menu.`);
+    await installBlocking(page, config);
+    const knownPages = new Set((await discoverUrls(config)).staging);
+    const { rootSelector } = getMenuOptions(config);
+    const menus = {};
+
+    for (const env of ["staging", "prod"]) {
+      const homePageUrl = config[env].baseUrl;
+      console.log(`Navigating to ${env} homepage: ${homePageUrl}`);
+      await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
+      await page.locator(rootSelector).first().waitFor({ state: "attached", timeout: 10000 });
 
-      let invalidLinks = 0;
-      for (let i = 0; i < linkCount; i++) {
-        const linkText = await links.nth(i).textContent();
-        const linkHref = await links.nth(i).getAttribute("href");
+      menus[env] = await extractMenuTree(page, config);
+      console.log(
+        `✅ ${env}: ${menus[env].length} top-level menu items (${menus[env]
+          .map((item) => item.label)
+          .join(", ")})`
+      );
+      expect.soft(menus[env].length, `No mega-menu items found on ${env}`).toBeGreaterThan(0);
+    }
 
+    const diff = diffMenuTrees(menus.staging, menus.prod, config);
+    if (diff.changes > 0) {
+      console.log(chalk.red(`❌ Menus differ:\n${formatMenuDiff(diff)}`));
+    } else {
+      console.log(chalk.green("✅ Staging and prod menus match."));
+    }
+    expect
+      .soft(diff.changes, `Menus differ between staging and prod:\n${formatMenuDiff(diff)}`)
+      .toBe(0);
+
+    // Menu targets should be pages we actually test, otherwise they were never discovered
+    for (const { trail, url } of collectMenuLinks(menus.staging)) {
+      const { pagePath } = normalizePagePath(url, [new URL(config.staging.baseUrl).host]);
+      if (pagePath && !knownPages.has(pagePath)) {
         console.log(
-          `🔗 Checking link ${i + 1} in '${menuName}': "${linkText}"`
+          chalk.yellow(`⚠️ Warning: '${trail}' -> ${pagePath} is not in the discovered page list.`)
         );
-
-        if (!linkHref || linkHref.trim() === "") {
-          console.log(
-            `⚠️ Warning: '${linkText}' in '${menuName}' has no valid href.`
-          );
-          invalidLinks++;
-        } else {
-          console.log(`✅ Valid link: '${linkText}' -> ${linkHref}`);
-        }
       }
+    }
 
+    for (const env of ["staging", "prod"]) {
+      const failures = await checkMenuLinks(menus[env], config);
+      const checked = collectMenuLinks(menus[env]).length;
       console.log(
-        `✅ Completed verification for '${menuName}'. Invalid links: ${invalidLinks}`
+        chalk[failures.length > 0 ? "red" : "green"](
+          `${env}: ${failures.length} of ${checked} menu links did not return 200`
+        )
       );
+      expect
+        .soft(
+          failures.length,
+          `Menu links not returning 200 on ${env}:\n` +
+            failures.map((link) => `  - ${link.trail} -> ${link.url}: ${link.reason}`).join("\n")
+        )
+        .toBe(0);
+    }
+  });
 
-      if (invalidLinks > 0) {
-        console.log(
-          `⚠️ Test finished with ${invalidLinks} warnings for '${menuName}'.`
-        );
-      } else {
-        console.log(`✅ All links in '${menuName}' are valid.`);
+  test("Open every mega-menu submenu on hover", async ({ page }) => {
+    await installBlocking(page, config);
+    const { openOnHover } = getMenuOptions(config);
+    test.skip(!openOnHover, "config.menu.openOnHover is off, so submenus only open on click");
+
+    await page.goto(config.staging.baseUrl, { waitUntil: "domcontentloaded" });
+    const items = (await getTopLevelMenuItems(page, config)).filter((item) => item.hasSubmenu);
+    expect(items.length, "No mega-menu items with submenus found").toBeGreaterThan(0);
+    const viewport = page.viewportSize();
+
+    for (const item of items) {
+      console.log(`Hovering '${item.label}'...`);
+      await item.link.hover();
+      await expect.soft(item.link, `'${item.label}' aria-expanded on hover`).toHaveAttribute(
+        "aria-expanded",
+        "true"
+      );
+      await expect.soft(item.submenu, `'${item.label}' submenu on hover`).toBeVisible();
+
+      // Moving the pointer off the menu should close the submenu again
+      await page.mouse.move(viewport.width / 2, viewport.height - 1);
+      await expect.soft(item.link, `'${item.label}' aria-expanded after hover`).toHaveAttribute(
+        "aria-expanded",
+        "false"
+      );
+      await expect.soft(item.submenu, `'${item.label}' submenu after hover`).toBeHidden();
+    }
+  });
+
+  test("Navigate the mega menu with the keyboard", async ({ page }) => {
+    await installBlocking(page, config);
+    const { linkSelector, arrowKeys } = getMenuOptions(config);
+
+    await page.goto(config.staging.baseUrl, { waitUntil: "domcontentloaded" });
+    const items = await getTopLevelMenuItems(page, config);
+    expect(items.length, "No top-level mega-menu items found").toBeGreaterThan(0);
+
+    // With every submenu closed, Tab walks the top-level items in order and skips hidden links
+    await items[0].link.focus();
+    for (let i = 1; i < items.length; i++) {
+      await page.keyboard.press("Tab");
+      await expect
+        .soft(items[i].link, `Tab from '${items[i - 1].label}' should reach '${items[i].label}'`)
+        .toBeFocused();
+    }
+
+    if (arrowKeys && items.length > 1) {
+      await items[0].link.focus();
+      await page.keyboard.press("ArrowRight");
+      await expect.soft(items[1].link, "ArrowRight should move to the next item").toBeFocused();
+      await page.keyboard.press("ArrowLeft");
+      await expect.soft(items[0].link, "ArrowLeft should move to the previous item").toBeFocused();
+    }
+
+    for (const item of items.filter((entry) => entry.hasSubmenu)) {
+      console.log(`Opening '${item.label}' with the keyboard...`);
+      const submenuLinks = item.submenu.locator(linkSelector);
+
+      await item.link.focus();
+      await expect.soft(item.link, `'${item.label}' starts collapsed`).toHaveAttribute(
+        "aria-expanded",
+        "false"
+      );
+      await page.keyboard.press("Enter");
+      await expect.soft(item.link, `'${item.label}' aria-expanded after Enter`).toHaveAttribute(
+        "aria-expanded",
+        "true"
+      );
+      await expect.soft(item.submenu, `'${item.label}' submenu after Enter`).toBeVisible();
+
+      await page.keyboard.press("Tab");
+      await expect
+        .soft(submenuLinks.first(), `Tab should move into the '${item.label}' submenu`)
+        .toBeFocused();
+
+      if (arrowKeys && (await submenuLinks.count()) > 1) {
+        await page.keyboard.press("ArrowDown");
+        await expect
+          .soft(submenuLinks.nth(1), `ArrowDown should move down the '${item.label}' submenu`)
+          .toBeFocused();
+        await page.keyboard.press("ArrowUp");
+        await expect
+          .soft(submenuLinks.first(), `ArrowUp should move up the '${item.label}' submenu`)
+          .toBeFocused();
       }
-    };
 
-    // **Verify "Online Programs" menu**
-    await verifyMenu(
-      "Online Programs",
-      "li#mega-menu-item-124 > a.mega-menu-link",
-      "li#mega-menu-item-124 > ul.mega-sub-menu"
-    );
+      // Escape closes the submenu and hands focus back to its parent item
+      await page.keyboard.press("Escape");
+      await expect.soft(item.link, `'${item.label}' aria-expanded after Escape`).toHaveAttribute(
+        "aria-expanded",
+        "false"
+      );
+      await expect.soft(item.submenu, `'${item.label}' submenu after Escape`).toBeHidden();
+      await expect.soft(item.link, `Escape should return focus to '${item.label}'`).toBeFocused();
+    }
+  });
 
-    // **Verify "Getting Started" menu**
-    await verifyMenu(
-      "Getting Started",
-      "li#mega-menu-item-135 > a.mega-menu-link",
-      "li#mega-menu-item-135 > ul.mega-sub-menu"
-    );
+  test("Open every mega-menu submenu from the mobile menu", async ({ browser, browserName }) => {
+    const { mobileDevice, mobileToggleSelector, rootSelector } = getMenuOptions(config);
+    const device = getDevices(config).find((entry) => entry.name === mobileDevice);
+    expect(
+      device,
+      `config.menu.mobileDevice "${mobileDevice}" is not in config.devices`
+    ).toBeTruthy();
+
+    const context = await browser.newContext(getDeviceContextOptions(device, browserName));
+    try {
+      const page = await newBlockedPage(context);
+      await page.goto(config.staging.baseUrl, { waitUntil: "domcontentloaded" });
+
+      const toggle = page.locator(mobileToggleSelector).first();
+      const menu = page.locator(rootSelector).first();
+      await expect(toggle, "Mobile menu toggle").toBeVisible();
+      await expect(toggle).toHaveAttribute("aria-expanded", "false");
+      await expect(menu, "Menu before opening the toggle").toBeHidden();
+
+      await toggle.click();
+      await expect(toggle).toHaveAttribute("aria-expanded", "true");
+      await expect(menu, "Menu after opening the toggle").toBeVisible();
+
+      const items = (await getTopLevelMenuItems(page, config)).filter((item) => item.hasSubmenu);
+      for (const item of items) {
+        console.log(`Opening '${item.label}' on ${device.name}...`);
+        await item.indicator.click();
+        await expect.soft(item.link, `'${item.label}' aria-expanded after opening`).toHaveAttribute(
+          "aria-expanded",
+          "true"
+        );
+        await expect.soft(item.submenu, `'${item.label}' submenu after opening`).toBeVisible();
+
+        await item.indicator.click();
+        await expect.soft(item.link, `'${item.label}' aria-expanded after closing`).toHaveAttribute(
+          "aria-expanded",
+          "false"
+        );
+        await expect.soft(item.submenu, `'${item.label}' submenu after closing`).toBeHidden();
+      }
 
-    console.log("✅ All menu verifications completed successfully!");
+      await toggle.click();
+      await expect(toggle).toHaveAttribute("aria-expanded", "false");
+      await expect(menu, "Menu after closing the toggle").toBeHidden();
+    } finally {
+      await context.close();
+    }
   });
 });
@@ -0,0 +1,191 @@
+const axios = require("axios");
+
+// Used when config.js has no assets section
+const DEFAULT_ASSET_OPTIONS = {
+  concurrencyPerHost: 4,
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 500,
+  maxImageBytes: 1024 * 1024,
+};
+
+// Errors and statuses worth another try: the asset may well be fine a moment later
+const TRANSIENT_ERRORS = ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+// Servers that don't implement HEAD properly answer with one of these; GET gives the real answer
+const HEAD_UNSUPPORTED_STATUSES = [403, 404, 405, 501];
+
+// One check per URL per worker process; every page that references it shares the same promise
+// Projects run in their own workers and don't share it, so the image audit and the link check
+// only make these requests from the chromium project
+const assetCache = new Map();
+// In-flight request counts and waiting callers, per host
+const hostSlots = new Map();
+
+function getAssetOptions(config) {
+  return { ...DEFAULT_ASSET_OPTIONS, ...(config.assets || {}) };
+}
+
+// Run `task` once fewer than `limit` requests to `host` are in flight
+async function withHostSlot(host, limit, task) {
+  if (!hostSlots.has(host)) hostSlots.set(host, { active: 0, waiting: [] });
+  const slot = hostSlots.get(host);
+
+  if (slot.active >= limit) {
+    await new Promise((resolve) => slot.waiting.push(resolve));
+  } else {
+    slot.active++;
+  }
+
+  try {
+    return await task();
+  } finally {
+    // Hand the slot straight to the next caller so nobody can jump the queue
+    const next = slot.waiting.shift();
+    if (next) next();
+    else slot.active--;
+  }
+}
+
+// GET without downloading more than needed: the body is streamed and counted only when the
+// server sends no Content-Length, and dropped once it passes maxBytes
+async function getWithStream(url, options, maxRedirects) {
+  const response = await axios.get(url, {
+    responseType: "stream",
+    timeout: options.timeout,
+    validateStatus: () => true,
+    maxRedirects,
+  });
+  const length = response.headers["content-length"];
+  let size = length ? Number(length) : null;
+
+  if (size === null && response.status < 400) {
+    size = await new Promise((resolve) => {
+      let received = 0;
+      response.data.on("data", (chunk) => {
+        received += chunk.length;
+        if (received > options.maxImageBytes) {
+          response.data.destroy();
+          resolve(received);
+        }
+      });
+      response.data.on("end", () => resolve(received));
+      response.data.on("error", () => resolve(received));
+    });
+  } else {
+    response.data.destroy();
+  }
+
+  return { status: response.status, headers: response.headers, size };
+}
+
+// HEAD first; fall back to GET when HEAD fails or isn't supported
+// With maxRedirects 0 a redirect comes back as-is so callers can follow the chain themselves
+async function requestAsset(url, options, maxRedirects) {
+  try {
+    const response = await axios.head(url, {
+      timeout: options.timeout,
+      validateStatus: () => true,
+      maxRedirects,
+    });
+    if (!HEAD_UNSUPPORTED_STATUSES.includes(response.status) && response.status < 500) {
+      const length = response.headers["content-length"];
+      return {
+        method: "HEAD",
+        status: response.status,
+        headers: response.headers,
+        size: length ? Number(length) : null,
+      };
+    }
+  } catch (error) {
+    // Some servers drop HEAD requests outright; GET below decides
+  }
+
+  return { method: "GET", ...(await getWithStream(url, options, maxRedirects)) };
+}
+
+// Check one asset, retrying transient failures with a growing delay
+// Returns { ok, status, method, contentType, size, location, reason, attempts }
+async function fetchAssetStatus(url, options, maxRedirects) {
+  let lastFailure;
+
+  for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+    if (attempt > 1) {
+      const delay = options.retryDelay * 2 ** (attempt - 2);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    try {
+      const { method, status, headers, size } = await requestAsset(url, options, maxRedirects);
+      const result = {
+        ok: status < 400,
+        status,
+        method,
+        contentType: String(headers["content-type"] || "").split(";")[0].trim() || null,
+        size,
+        location: headers.location ? new URL(headers.location, url).toString() : null,
+        reason: status >= 400 ? `HTTP ${status}` : null,
+        attempts: attempt,
+      };
+      if (!TRANSIENT_STATUSES.includes(status)) return result;
+      lastFailure = result;
+    } catch (error) {
+      lastFailure = {
+        ok: false,
+        status: null,
+        method: "GET",
+        contentType: null,
+        size: null,
+        location: null,
+        reason: error.code || error.message,
+        attempts: attempt,
+      };
+      if (!TRANSIENT_ERRORS.includes(error.code)) return lastFailure;
+    }
+  }
+
+  return lastFailure;
+}
+
+// Check an asset URL once per run, limited per host (see config.assets)
+// With followRedirects off, a 3xx answer is returned with its resolved `location` instead
+function checkAsset(url, config, { followRedirects = true } = {}) {
+  const cacheKey = `${followRedirects ? "follow" : "single"} ${url}`;
+  if (!assetCache.has(cacheKey)) {
+    const options = getAssetOptions(config);
+    const { host } = new URL(url);
+    const maxRedirects = followRedirects ? 5 : 0;
+    assetCache.set(
+      cacheKey,
+      withHostSlot(host, options.concurrencyPerHost, () =>
+        fetchAssetStatus(url, options, maxRedirects)
+      )
+    );
+  }
+  return assetCache.get(cacheKey);
+}
+
+// Judge a checked asset as an image: broken if unreachable or not an image,
+// with a warning (not a failure) when it is heavier than config.assets.maxImageBytes
+function assessImage(check, config) {
+  const { maxImageBytes } = getAssetOptions(config);
+  if (!check.ok) return { broken: check.reason, warning: null };
+  if (check.contentType && !check.contentType.startsWith("image/")) {
+    return { broken: `not an image (${check.contentType})`, warning: null };
+  }
+  if (check.size !== null && check.size > maxImageBytes) {
+    const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return {
+      broken: null,
+      warning: `${megabytes(check.size)} (over ${megabytes(maxImageBytes)})`,
+    };
+  }
+  return { broken: null, warning: null };
+}
+
+module.exports = {
+  DEFAULT_ASSET_OPTIONS,
+  getAssetOptions,
+  checkAsset,
+  assessImage,
+};
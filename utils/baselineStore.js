@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const { screenshotFileName } = require("./screenshotPaths");
+
+const BASELINES_DIR = "baselines";
+const MANIFEST_PATH = path.join(BASELINES_DIR, "manifest.json");
+
+// Read the manifest describing who approved what, keyed by run (browser project/device) and page path
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return {};
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(BASELINES_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Path of the approved baseline image for a run and page, e.g. baselines/chromium/Desktop/_about_.png
+function getBaselinePath(runName, pagePath) {
+  return path.join(BASELINES_DIR, runName, screenshotFileName(pagePath));
+}
+
+function hasBaseline(runName, pagePath) {
+  return fs.existsSync(getBaselinePath(runName, pagePath));
+}
+
+// Copy a captured screenshot into the store as the approved baseline
+function acceptBaseline(runName, pagePath, sourcePath, sourceEnv) {
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`No screenshot to accept for ${pagePath} at ${sourcePath}`);
+  }
+
+  const baselinePath = getBaselinePath(runName, pagePath);
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.copyFileSync(sourcePath, baselinePath);
+
+  const manifest = readManifest();
+  manifest[runName] = manifest[runName] || {};
+  manifest[runName][pagePath] = {
+    file: baselinePath,
+    sourceEnv,
+    approvedAt: new Date().toISOString(),
+  };
+  writeManifest(manifest);
+
+  return baselinePath;
+}
+
+// Remove an approved baseline so the page is flagged again on the next run
+function rejectBaseline(runName, pagePath) {
+  const baselinePath = getBaselinePath(runName, pagePath);
+  const existed = fs.existsSync(baselinePath);
+  if (existed) fs.unlinkSync(baselinePath);
+
+  const manifest = readManifest();
+  if (manifest[runName] && manifest[runName][pagePath]) {
+    delete manifest[runName][pagePath];
+    writeManifest(manifest);
+  }
+
+  return existed;
+}
+
+// List approved baselines for a run as [{ pagePath, file, sourceEnv, approvedAt }]
+function listBaselines(runName) {
+  const entries = readManifest()[runName] || {};
+  return Object.entries(entries).map(([pagePath, entry]) => ({ pagePath, ...entry }));
+}
+
+module.exports = {
+  BASELINES_DIR,
+  getBaselinePath,
+  hasBaseline,
+  acceptBaseline,
+  rejectBaseline,
+  listBaselines,
+};
@@ -0,0 +1,114 @@
+const path = require("path");
+const { validateThresholds } = require("./thresholds");
+const { validateDevices } = require("./devices");
+
+const ENVIRONMENTS = ["staging", "prod"];
+
+// Build a full URL for a page path against an environment's base URL
+// Only the entry's path, query and hash are used, so absolute entries and "//host" paths can't
+// switch hosts, and a base URL with a path prefix ("https://host/site/") keeps it
+function buildUrl(baseUrl, pagePath) {
+  const { pathname, search, hash } = new URL(pagePath, "http://relative.invalid");
+  const url = new URL(baseUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, "")}${pathname}`;
+  url.search = search;
+  url.hash = hash;
+  return url.toString();
+}
+
+// Turn a config entry (relative path or absolute URL) into a canonical relative path
+// Returns { pagePath } on success or { error } describing why the entry was rejected
+function normalizePagePath(entry, knownHosts) {
+  if (typeof entry !== "string" || entry.trim() === "") {
+    return { error: "entry is empty or not a string" };
+  }
+
+  const value = entry.trim();
+  let parsed;
+
+  try {
+    // Relative entries are resolved against a throwaway host so we can reuse URL parsing
+    parsed = new URL(value, "http://relative.invalid");
+  } catch (error) {
+    return { error: `not a valid URL or path (${error.message})` };
+  }
+
+  const isAbsolute = parsed.host !== "relative.invalid";
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return { error: `unsupported protocol "${parsed.protocol}"` };
+  }
+
+  if (isAbsolute && !knownHosts.includes(parsed.host)) {
+    return {
+      error: `host "${parsed.host}" does not match staging or prod (${knownHosts.join(", ")})`,
+    };
+  }
+
+  // Collapse duplicate slashes ("/degrees/business//" -> "/degrees/business/")
+  const pathname = parsed.pathname.replace(/\/{2,}/g, "/");
+
+  return { pagePath: `${pathname}${parsed.search}` };
+}
+
+// Normalize, validate and de-duplicate the URL lists for every environment
+// Throws a single error listing every bad entry so the run fails before any browser launches
+function loadConfig(rawConfig = require(path.join(__dirname, "..", "config.js"))) {
+  const problems = [];
+  const knownHosts = [];
+
+  for (const env of ENVIRONMENTS) {
+    const envConfig = rawConfig[env];
+
+    if (!envConfig || typeof envConfig.baseUrl !== "string") {
+      problems.push(`${env}.baseUrl: missing`);
+      continue;
+    }
+
+    try {
+      knownHosts.push(new URL(envConfig.baseUrl).host);
+    } catch (error) {
+      problems.push(`${env}.baseUrl: "${envConfig.baseUrl}" is not a valid URL`);
+    }
+  }
+
+  const config = { ...rawConfig };
+
+  for (const env of ENVIRONMENTS) {
+    const envConfig = rawConfig[env];
+    if (!envConfig) continue;
+
+    const urls = [];
+    const seen = new Set();
+
+    (envConfig.urls || []).forEach((entry, index) => {
+      const { pagePath, error } = normalizePagePath(entry, knownHosts);
+
+      if (error) {
+        problems.push(`${env}.urls[${index}]: ${JSON.stringify(entry)} - ${error}`);
+        return;
+      }
+
+      if (!seen.has(pagePath)) {
+        seen.add(pagePath);
+        urls.push(pagePath);
+      }
+    });
+
+    config[env] = { ...envConfig, urls };
+  }
+
+  problems.push(...validateThresholds(rawConfig.thresholds));
+  problems.push(...validateDevices(rawConfig.devices));
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid entries in config.js (${problems.length}):\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+  }
+
+  return config;
+}
+
+module.exports = { buildUrl, normalizePagePath, loadConfig };
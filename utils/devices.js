@@ -0,0 +1,45 @@
+const { devices } = require("@playwright/test");
+
+// Used when config.js has no devices section (matches the original single desktop run)
+const DEFAULT_DEVICES = [{ name: "Desktop", use: { viewport: { width: 1280, height: 800 } } }];
+
+function getDevices(config) {
+  return config.devices && config.devices.length > 0 ? config.devices : DEFAULT_DEVICES;
+}
+
+// Build browser.newContext() options for a device: the Playwright descriptor plus any overrides
+function getDeviceContextOptions(device, browserName) {
+  const descriptor = device.descriptor ? devices[device.descriptor] : {};
+  // defaultBrowserType only matters to projects, not to newContext()
+  const { defaultBrowserType, ...options } = { ...descriptor, ...(device.use || {}) };
+
+  // Firefox rejects isMobile, so mobile devices there only get the viewport, UA and touch
+  if (browserName === "firefox") delete options.isMobile;
+
+  return options;
+}
+
+// List problems with config.devices in the same format loadConfig reports URL problems
+function validateDevices(configDevices = []) {
+  const problems = [];
+  const names = new Set();
+
+  configDevices.forEach((device, index) => {
+    if (!device.name) {
+      problems.push(`devices[${index}].name: missing`);
+    } else if (names.has(device.name)) {
+      problems.push(`devices[${index}].name: "${device.name}" is used more than once`);
+    }
+    names.add(device.name);
+
+    if (device.descriptor && !devices[device.descriptor]) {
+      problems.push(
+        `devices[${index}].descriptor: "${device.descriptor}" is not a Playwright device name`
+      );
+    }
+  });
+
+  return problems;
+}
+
+module.exports = { DEFAULT_DEVICES, getDevices, getDeviceContextOptions, validateDevices };
@@ -0,0 +1,11 @@
+// Escape a value for HTML/XML text and quoted attributes; everything dynamic in a report goes through this
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,783 @@
+const fs = require("fs");
+const { buildUrl } = require("./configLoader");
+const { formatMissingReason } = require("./urlDiscovery");
+const {
+  getPageThreshold,
+  getHeightDeltaPercent,
+  isHeightDeltaOver,
+  getResultStatus,
+} = require("./thresholds");
+const { getReportPath } = require("./screenshotPaths");
+const { getHistoryOptions, getPageTrend, compareWithPreviousRun } = require("./runHistory");
+const {
+  getOutputPath,
+  resetReportAssets,
+  prepareReportImage,
+} = require("./reportAssets");
+const { escapeHtml } = require("./htmlEscape");
+
+// Labels for the image types a result row can carry
+const IMAGE_LABELS = {
+  staging: "Staging",
+  prod: "Prod",
+  current: "Current",
+  baseline: "Baseline",
+  reference: "Reference",
+  diff: "Diff",
+};
+
+// Format the page height difference (second image minus first) for the report
+// A difference over the page's maxHeightDelta is what failed the page, so it is called out
+function formatHeightDelta(result, threshold) {
+  if (typeof result.heightDelta !== "number") return "N/A";
+  if (result.heightDelta === 0) return "0px";
+  const delta = `${result.heightDelta > 0 ? "+" : ""}${result.heightDelta}px`;
+  if (!isHeightDeltaOver(result, threshold)) return delta;
+  return `<span class="status-fail">${delta}</span><br><small>${getHeightDeltaPercent(
+    result
+  ).toFixed(1)}% (limit ${threshold.maxHeightDelta}%)</small>`;
+}
+
+// Describe one side's capture outcome, e.g. "Staging: HTTP 200 · 3.4s → https://.../new/"
+function formatCapture(type, capture) {
+  const parts = [capture.status ? `HTTP ${capture.status}` : "no response"];
+  if (typeof capture.durationMs === "number") {
+    parts.push(`${(capture.durationMs / 1000).toFixed(1)}s`);
+  }
+  const redirect =
+    capture.finalUrl && capture.finalUrl !== capture.url
+      ? ` → ${escapeHtml(capture.finalUrl)}`
+      : "";
+  const error = capture.error
+    ? ` <span class="capture-error">${escapeHtml(capture.error)}</span>`
+    : "";
+  const timedOut =
+    capture.timedOutSteps && capture.timedOutSteps.length > 0
+      ? ` <span class="capture-error">timed out: ${escapeHtml(
+          capture.timedOutSteps.join(", ")
+        )}</span>`
+      : "";
+  return `${IMAGE_LABELS[type]}: ${parts.join(" · ")}${redirect}${error}${timedOut}`;
+}
+
+// Inline SVG sparkline of similarity over recent runs, with the pass threshold as a dashed line
+// Gaps (errored or untested runs) break the line; the latest point is dotted in its status colour
+function renderSparkline(values, passThreshold, status) {
+  const numbers = values.filter((value) => value !== null);
+  if (values.length < 2 || numbers.length === 0) return "";
+
+  const width = 100;
+  const height = 24;
+  const min = Math.floor(Math.min(...numbers, passThreshold) - 1);
+  const x = (index) => ((index / (values.length - 1)) * (width - 4) + 2).toFixed(1);
+  const y = (value) => (height - 2 - ((value - min) / (100 - min)) * (height - 4)).toFixed(1);
+
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(index)},${y(value)}`);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+
+  const last = values[values.length - 1];
+  const colors = { pass: "green", fail: "red", error: "orange", missing: "purple" };
+  const title = values.map((value) => (value === null ? "–" : `${value.toFixed(2)}%`)).join(" → ");
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <title>${title}</title>
+    <line x1="0" x2="${width}" y1="${y(passThreshold)}" y2="${y(passThreshold)}" stroke="#bbb" stroke-dasharray="2,2"/>
+    ${segments
+      .map(
+        (points) =>
+          `<polyline points="${points.join(" ")}" fill="none" stroke="#555" stroke-width="1.5"/>`
+      )
+      .join("")}
+    ${
+      last !== null
+        ? `<circle cx="${x(values.length - 1)}" cy="${y(last)}" r="2.5" fill="${colors[status]}"/>`
+        : ""
+    }
+  </svg>`;
+}
+
+// "Newly failing / newly fixed since last run" section, empty on the first run
+function renderRunChanges(changes) {
+  if (!changes.previousRun) return "";
+
+  const formatPage = (page) =>
+    page.similarityPercentage !== null
+      ? `${page.status} ${page.similarityPercentage.toFixed(2)}%`
+      : page.status;
+  const list = (entries) =>
+    entries.length === 0
+      ? "<p>None</p>"
+      : `<ul>${entries
+          .map(
+            (entry) =>
+              `<li>${escapeHtml(entry.pagePath)}: ${formatPage(entry.before)} → ${formatPage(
+                entry.after
+              )}</li>`
+          )
+          .join("")}</ul>`;
+
+  return `
+      <div class="run-changes">
+        <h3>Since last run (${new Date(changes.previousRun).toLocaleString()})</h3>
+        <div class="run-changes-list"><h4 class="failed">Newly failing (${changes.newlyFailing.length})</h4>${list(
+          changes.newlyFailing
+        )}</div>
+        <div class="run-changes-list"><h4 class="passed">Newly fixed (${changes.newlyFixed.length})</h4>${list(
+          changes.newlyFixed
+        )}</div>
+      </div>`;
+}
+
+// URL section a page is grouped under in the report: its first path segment ("degrees", "apply", ...)
+function getSection(pagePath) {
+  const segment = pagePath.split("?")[0].split("/").find(Boolean);
+  return segment || "home";
+}
+
+// Generate the HTML report, with thumbnails in an assets folder or everything inlined (config.report.mode)
+// runName is the browser project/device pair, e.g. "chromium/Desktop"
+// history holds the earlier runs (see utils/runHistory.js) for trends and run-over-run changes
+// Every dynamic value is escaped, and the markup carries data attributes instead of inline handlers
+async function generateHtmlReport(
+  results,
+  runName,
+  config,
+  mode = "staging-vs-prod",
+  history = []
+) {
+  const reportPath = getReportPath(runName);
+  const [projectName, deviceName] = runName.split("/").map(escapeHtml);
+  const now = new Date().toLocaleString();
+  const { sparklineRuns } = getHistoryOptions(config);
+  const changes = compareWithPreviousRun(history, results, config);
+
+  // Count passed, failed, errors and missing pages
+  const countStatus = (status) =>
+    results.filter((r) => getResultStatus(r, config) === status).length;
+  const passed = countStatus("pass");
+  const failed = countStatus("fail");
+  const errors = countStatus("error");
+  const missing = countStatus("missing");
+  const pageThreshold = (r) => r.threshold || getPageThreshold(config, r.pagePath);
+  const defaultThreshold = getPageThreshold(config, "");
+  const overrides = (config.thresholds && config.thresholds.overrides) || [];
+
+  // **SORT RESULTS: Missing pages first, then errors, then failed, then passed**
+  results.sort((a, b) => {
+    if (a.missingOn && !b.missingOn) return -1;
+    if (b.missingOn && !a.missingOn) return 1;
+    if (a.similarityPercentage === "Error") return -1;
+    if (b.similarityPercentage === "Error") return 1;
+    if (
+      typeof a.similarityPercentage === "number" &&
+      typeof b.similarityPercentage === "number"
+    ) {
+      return a.similarityPercentage - b.similarityPercentage; // Lower similarity first
+    }
+    return 0;
+  });
+
+  let htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Report - ${projectName} - ${deviceName}</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .summary p { font-size: 16px; }
+        .summary span { font-weight: bold; }
+        .summary .passed { color: green; }
+        .summary .failed { color: red; }
+        .summary .errors { color: orange; }
+        .summary .missing { color: purple; }
+        .staging { color: orange; font-weight: bold; }
+        .prod { color: blue; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
+        th { background-color: #f2f2f2; }
+        .image-container { display: flex; justify-content: center; align-items: center; gap: 15px; }
+        .image-wrapper { display: flex; flex-direction: column; align-items: center; }
+        .image-container img { width: 350px; cursor: pointer; border: 1px solid #ddd; }
+        .image-frame { position: relative; overflow: hidden; }
+        .region-box { position: absolute; border: 2px solid red; box-sizing: border-box; cursor: zoom-in; }
+        .masked-box { position: absolute; box-sizing: border-box; border: 1px solid #555; pointer-events: none; background: repeating-linear-gradient(45deg, rgba(80,80,80,0.6) 0 4px, transparent 4px 8px); }
+        .regions { font-size: 12px; margin-top: 8px; text-align: left; }
+        .regions button { font-size: 12px; margin: 2px; cursor: zoom-in; }
+        .modal canvas { display: inline-block; margin: 10px; max-width: 30%; border: 1px solid #fff; background: #fff; }
+        .modal .region-views { text-align: center; margin-top: 60px; color: white; }
+        .image-label { font-size: 14px; font-weight: bold; margin-top: 5px; text-align: center; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+        .status-error { color: orange; font-weight: bold; }
+        .status-missing { color: purple; font-weight: bold; }
+        .toolbar { display: flex; flex-wrap: wrap; gap: 15px; align-items: center; justify-content: center; margin-top: 20px; }
+        .toolbar input[type="search"] { width: 250px; padding: 4px; }
+        .toolbar label { cursor: pointer; }
+        .group-header td { background-color: #f9f9f9; text-align: left; font-weight: bold; }
+        .compare-button { margin-top: 8px; cursor: pointer; }
+        .viewer-controls { text-align: center; color: white; margin: 20px 0 10px; }
+        .viewer-controls input[type="range"] { width: 300px; vertical-align: middle; }
+        .viewer-scroll { max-height: 85vh; overflow: auto; text-align: center; }
+        .viewer-stage { position: relative; display: inline-block; background: #fff; }
+        #viewer .viewer-stage img { display: block; max-width: none; max-height: none; margin: 0; width: 100%; }
+        #viewer .viewer-stage #viewer-top { position: absolute; top: 0; left: 0; }
+        .sparkline { display: block; margin: 6px auto 0; }
+        .run-changes { display: flex; flex-wrap: wrap; justify-content: center; gap: 40px; margin-bottom: 20px; }
+        .run-changes h3 { width: 100%; text-align: center; margin: 0; }
+        .run-changes .failed { color: red; }
+        .run-changes .passed { color: green; }
+        .page-path { font-size: 13px; margin-bottom: 4px; word-break: break-all; }
+        .capture-info { font-size: 12px; color: #555; margin-top: 6px; text-align: left; }
+        .capture-error { color: red; }
+        .criteria { font-size: 14px; text-align: center; margin-top: 10px; font-weight: bold; }
+        .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.8); }
+        .modal img { display: block; max-width: 90%; max-height: 90%; margin: auto; }
+        .modal-close { position: absolute; top: 20px; right: 30px; font-size: 30px; color: white; cursor: pointer; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <h2>Browser: ${projectName} | Device: ${deviceName}</h2>
+      <div class="summary">
+        ${
+          mode === "baseline"
+            ? `<p>Mode: <span class="staging">Current ${escapeHtml(
+                config.comparison.baselineEnv
+              )}</span> vs. <span class="prod">Approved baselines</span></p>`
+            : mode === "cross-browser"
+            ? `<p>Mode: <span class="staging">${projectName}</span> vs. <span class="prod">${escapeHtml(
+                config.comparison.crossBrowser.referenceBrowser
+              )}</span> on ${escapeHtml(config.comparison.crossBrowser.env)}</p>`
+            : `<p><span class="staging">Staging:</span> ${escapeHtml(
+                config.staging.baseUrl
+              )} | <span class="prod">Prod:</span> ${escapeHtml(config.prod.baseUrl)}</p>`
+        }
+        <p>Total Pages Tested: <span>${results.length}</span></p>
+        <p>Passed: <span class="passed">${passed}</span> | Failed: <span class="failed">${failed}</span> | Errors: <span class="errors">${errors}</span> | Missing: <span class="missing">${missing}</span></p>
+        <p>Last Run: ${now}</p>
+        <p>Download: <a href="${escapeHtml(
+          getReportPath(runName, "results", "json")
+        )}" download>Results (JSON)</a> | <a href="${escapeHtml(
+          getReportPath(runName, "junit", "xml")
+        )}" download>JUnit (XML)</a></p>
+      </div>
+      ${renderRunChanges(changes)}
+      <p class="criteria">✅ Success Criteria: A similarity score of ${
+        defaultThreshold.pass
+      }% or higher, with page heights no more than ${
+        defaultThreshold.maxHeightDelta
+      }% apart, is considered a pass${
+        overrides.length > 0
+          ? ` (overrides: ${overrides
+              .map(
+                (o) =>
+                  `${escapeHtml([].concat(o.pattern).join(", "))} ≥ ${
+                    o.pass !== undefined ? o.pass : defaultThreshold.pass
+                  }%`
+              )
+              .join(", ")})`
+          : ""
+      }.</p>
+      <div class="toolbar">
+        ${["pass", "fail", "error", "missing"]
+          .map(
+            (status) =>
+              `<label class="status-${status}"><input type="checkbox" class="status-filter" value="${status}" checked> ${status}</label>`
+          )
+          .join("")}
+        <input type="search" id="search" placeholder="Search paths…">
+        <label>Sort by <select id="sort-by">
+          <option value="order">Status</option>
+          <option value="similarity">Similarity</option>
+          <option value="path">Path</option>
+        </select></label>
+        <label><input type="checkbox" id="group-by"> Group by section</label>
+        <span id="shown-count"></span>
+      </div>
+      <table id="results">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Similarity</th>
+            <th>Height Δ</th>
+            <th>Threshold</th>
+            <th>Status</th>
+            <th>Images</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  // Images are prepared one at a time to keep memory flat on long runs
+  resetReportAssets(runName, config);
+  const rowImages = [];
+  for (const result of results) {
+    const images = [];
+    // Missing pages carry no images, so leftovers from older runs are never shown
+    for (const [type, imagePath] of Object.entries(result.images || {})) {
+      images.push({ type, ...(await prepareReportImage(imagePath, runName, type, config)) });
+    }
+    rowImages.push(images);
+  }
+
+  results.forEach((result, rowIndex) => {
+    const regions = result.diffRegions || [];
+    const maskedRegions = result.maskedRegions || [];
+    const images = rowImages[rowIndex];
+
+    const status = getResultStatus(result, config);
+    const statusClass = `status-${status}`;
+    let statusText = { pass: "Pass", fail: "Fail", error: "Error" }[status];
+
+    if (status === "missing") {
+      const envLabel = result.missingOn === "prod" ? "Prod" : "Staging";
+      statusText = `Missing on ${envLabel} (${escapeHtml(formatMissingReason(result))})`;
+    } else if (status === "error" && result.error) {
+      statusText = `Error<br><small>${escapeHtml(result.error)}</small>`;
+    }
+
+    const similarity =
+      typeof result.similarityPercentage === "number" ? result.similarityPercentage : "";
+    const compareSides = images.filter(({ type, src }) => src && type !== "diff");
+
+    htmlContent += `
+    <tr class="result-row" data-order="${rowIndex}" data-status="${status}" data-path="${escapeHtml(
+      result.pagePath
+    )}" data-section="${escapeHtml(getSection(result.pagePath))}" data-similarity="${similarity}">
+      <td>
+        <div class="page-path">${escapeHtml(result.pagePath)}</div>
+        <a href="${escapeHtml(
+          buildUrl(config.staging.baseUrl, result.pagePath)
+        )}" target="_blank" rel="noopener" class="staging">Staging</a> | 
+        <a href="${escapeHtml(
+          buildUrl(config.prod.baseUrl, result.pagePath)
+        )}" target="_blank" rel="noopener" class="prod">Prod</a>
+        ${Object.entries(result.captures || {})
+          .map(
+            ([type, capture]) =>
+              `<div class="capture-info">${formatCapture(type, capture)}</div>`
+          )
+          .join("")}
+      </td>
+      <td>${
+        typeof result.similarityPercentage === "number"
+          ? result.similarityPercentage.toFixed(2) + "%"
+          : result.missingOn
+          ? "N/A"
+          : "Error"
+      }${renderSparkline(
+        getPageTrend(history, result, sparklineRuns),
+        pageThreshold(result).pass,
+        status
+      )}</td>
+      <td>${formatHeightDelta(result, pageThreshold(result))}</td>
+      <td>${pageThreshold(result).pass}%<br><small>${escapeHtml(
+        pageThreshold(result).source
+      )}</small></td>
+      <td class="${statusClass}">${statusText}</td>
+      <td>
+        <div class="image-container">
+          ${
+            images.length === 0
+              ? "N/A"
+              : images
+                  .map(({ type, src, full, width }) =>
+                    src
+                      ? `<div class="image-wrapper">
+                   <div class="image-frame" data-row="${rowIndex}" data-regions="${escapeHtml(
+                     JSON.stringify(regions)
+                   )}" data-masked="${escapeHtml(JSON.stringify(maskedRegions))}">
+                     <img src="${escapeHtml(src)}" loading="lazy"${
+                       full ? ` data-full="${escapeHtml(full)}"` : ""
+                     }${width ? ` data-width="${width}"` : ""} data-type="${type}" data-action="open-image" alt="${
+                       IMAGE_LABELS[type]
+                     }">
+                   </div>
+                   <div class="image-label">${IMAGE_LABELS[type]}</div>
+                 </div>`
+                      : "N/A"
+                  )
+                  .join("")
+          }
+        </div>
+        ${
+          compareSides.length >= 2
+            ? `<button class="compare-button" data-action="open-viewer" data-row="${rowIndex}">Compare ${
+                IMAGE_LABELS[compareSides[0].type]
+              } / ${IMAGE_LABELS[compareSides[1].type]}: swipe or onion skin</button>`
+            : ""
+        }
+        ${
+          regions.length > 0
+            ? `<div class="regions">Changed regions: ${regions
+                .map(
+                  (region, regionIndex) =>
+                    `<button data-action="open-region" data-row="${rowIndex}" data-region="${regionIndex}">#${
+                      regionIndex + 1
+                    } ${region.width}×${region.height} at ${region.x},${region.y}</button>`
+                )
+                .join("")}</div>`
+            : ""
+        }
+        ${
+          maskedRegions.length > 0
+            ? `<div class="regions">Masked areas (not compared): ${maskedRegions.length}</div>`
+            : ""
+        }
+      </td>
+    </tr>
+  `;
+  });
+
+  htmlContent += `
+        </tbody>
+      </table>
+
+      <div id="modal" class="modal">
+        <span class="modal-close" data-action="close-modal">&times;</span>
+        <img id="modal-image">
+        <div id="region-views" class="region-views"></div>
+      </div>
+
+      <div id="viewer" class="modal">
+        <span class="modal-close" data-action="close-viewer">&times;</span>
+        <div class="viewer-controls">
+          <label><input type="radio" name="viewer-mode" value="swipe" checked> Swipe</label>
+          <label><input type="radio" name="viewer-mode" value="onion"> Onion skin</label>
+          <span id="viewer-base-label"></span>
+          <input type="range" id="viewer-slider" min="0" max="100" value="50">
+          <span id="viewer-top-label"></span>
+        </div>
+        <div class="viewer-scroll">
+          <div class="viewer-stage" id="viewer-stage">
+            <img id="viewer-base">
+            <img id="viewer-top">
+          </div>
+        </div>
+      </div>
+
+      <script>
+        function openModal(imageSrc) { 
+          document.getElementById("modal-image").src = imageSrc; 
+          document.getElementById("modal-image").style.display = "block"; 
+          document.getElementById("region-views").innerHTML = ""; 
+          document.getElementById("modal").style.display = "block"; 
+        }
+        // Outline each diff region on a thumbnail, scaled from the image's real size,
+        // and hatch the masked areas so reviewers can see what was skipped
+        function drawRegions(img) {
+          const frame = img.parentElement;
+          const scale = img.clientWidth / (Number(img.dataset.width) || img.naturalWidth);
+          JSON.parse(frame.dataset.masked).forEach((region) => {
+            const box = document.createElement("div");
+            box.className = "masked-box";
+            box.style.left = region.x * scale + "px";
+            box.style.top = region.y * scale + "px";
+            box.style.width = region.width * scale + "px";
+            box.style.height = region.height * scale + "px";
+            box.title = "Masked (not compared)";
+            frame.appendChild(box);
+          });
+          JSON.parse(frame.dataset.regions).forEach((region, regionIndex) => {
+            const box = document.createElement("div");
+            box.className = "region-box";
+            box.style.left = region.x * scale + "px";
+            box.style.top = region.y * scale + "px";
+            box.style.width = Math.max(region.width * scale, 2) + "px";
+            box.style.height = Math.max(region.height * scale, 2) + "px";
+            box.title = "Region #" + (regionIndex + 1);
+            box.dataset.action = "open-region";
+            box.dataset.row = frame.dataset.row;
+            box.dataset.region = regionIndex;
+            frame.appendChild(box);
+          });
+        }
+        // Show the same region cropped from every image in the row, side by side
+        // Crops come from the full-size images, which thumbnails only load on demand; archived
+        // reports may only have the thumbnails, so the region is scaled to the image at hand
+        function openRegion(rowIndex, regionIndex) {
+          const frames = document.querySelectorAll('.image-frame[data-row="' + rowIndex + '"]');
+          const views = document.getElementById("region-views");
+          const margin = 40;
+          views.innerHTML = "";
+          frames.forEach((frame) => {
+            const img = frame.querySelector("img");
+            const region = JSON.parse(frame.dataset.regions)[regionIndex];
+            const x = Math.max(region.x - margin, 0);
+            const y = Math.max(region.y - margin, 0);
+            const canvas = document.createElement("canvas");
+            canvas.width = region.width + margin * 2;
+            canvas.height = region.height + margin * 2;
+            canvas.title = img.alt;
+            views.appendChild(canvas);
+            const source = new Image();
+            source.onload = () => {
+              const ratio = source.naturalWidth / (Number(img.dataset.width) || source.naturalWidth);
+              canvas.getContext("2d").drawImage(source, x * ratio, y * ratio, canvas.width * ratio, canvas.height * ratio, 0, 0, canvas.width, canvas.height);
+            };
+            source.src = img.dataset.full || img.src;
+          });
+          document.getElementById("modal-image").style.display = "none";
+          document.getElementById("modal").style.display = "block";
+        }
+        document.querySelectorAll(".image-frame img").forEach((img) => {
+          if (img.complete) drawRegions(img);
+          else img.addEventListener("load", () => drawRegions(img));
+        });
+        function closeModal() { 
+          document.getElementById("modal").style.display = "none"; 
+        }
+        // Show a row's two captures on top of each other at full size: "swipe" reveals the second
+        // image to the right of the slider, "onion skin" fades it in over the first
+        function openViewer(rowIndex) {
+          const sides = [...document.querySelectorAll('.image-frame[data-row="' + rowIndex + '"] img')]
+            .filter((img) => img.dataset.type !== "diff");
+          const base = document.getElementById("viewer-base");
+          const top = document.getElementById("viewer-top");
+          base.onload = () => {
+            document.getElementById("viewer-stage").style.width = Math.min(base.naturalWidth, window.innerWidth * 0.9) + "px";
+          };
+          base.src = sides[0].dataset.full || sides[0].src;
+          top.src = sides[1].dataset.full || sides[1].src;
+          document.getElementById("viewer-base-label").textContent = sides[0].alt;
+          document.getElementById("viewer-top-label").textContent = sides[1].alt;
+          updateViewer();
+          document.getElementById("viewer").style.display = "block";
+        }
+        function updateViewer() {
+          const top = document.getElementById("viewer-top");
+          const value = document.getElementById("viewer-slider").value;
+          const mode = document.querySelector('input[name="viewer-mode"]:checked').value;
+          top.style.clipPath = mode === "swipe" ? "inset(0 0 0 " + value + "%)" : "none";
+          top.style.opacity = mode === "onion" ? value / 100 : 1;
+        }
+        function closeViewer() {
+          document.getElementById("viewer").style.display = "none";
+        }
+        // Filter by status and path, sort, and optionally group rows under their URL section
+        function applyFilters() {
+          const statuses = [...document.querySelectorAll(".status-filter:checked")].map((input) => input.value);
+          const query = document.getElementById("search").value.trim().toLowerCase();
+          const sortBy = document.getElementById("sort-by").value;
+          const grouped = document.getElementById("group-by").checked;
+          const tbody = document.querySelector("#results tbody");
+          tbody.querySelectorAll(".group-header").forEach((header) => header.remove());
+
+          const similarity = (row) => (row.dataset.similarity === "" ? -1 : Number(row.dataset.similarity));
+          const compare = {
+            order: (a, b) => a.dataset.order - b.dataset.order,
+            similarity: (a, b) => similarity(a) - similarity(b),
+            path: (a, b) => a.dataset.path.localeCompare(b.dataset.path),
+          }[sortBy];
+          const rows = [...tbody.querySelectorAll("tr.result-row")].sort((a, b) =>
+            grouped && a.dataset.section !== b.dataset.section
+              ? a.dataset.section.localeCompare(b.dataset.section)
+              : compare(a, b)
+          );
+
+          const visible = rows.filter(
+            (row) => statuses.includes(row.dataset.status) && row.dataset.path.toLowerCase().includes(query)
+          );
+          let section = null;
+          rows.forEach((row) => {
+            const shown = visible.includes(row);
+            if (grouped && shown && row.dataset.section !== section) {
+              section = row.dataset.section;
+              const count = visible.filter((other) => other.dataset.section === section).length;
+              const header = document.createElement("tr");
+              header.className = "group-header";
+              header.innerHTML = '<td colspan="6"></td>';
+              header.firstChild.textContent = section + " (" + count + ")";
+              tbody.appendChild(header);
+            }
+            row.style.display = shown ? "" : "none";
+            tbody.appendChild(row);
+          });
+          document.getElementById("shown-count").textContent = visible.length + " of " + rows.length + " pages shown";
+        }
+        // Clicks are routed by data-action so the markup needs no inline handlers
+        document.addEventListener("click", (event) => {
+          const target = event.target.closest("[data-action]");
+          if (!target) return;
+          const actions = {
+            "open-image": () => openModal(target.dataset.full || target.src),
+            "open-region": () => openRegion(target.dataset.row, Number(target.dataset.region)),
+            "open-viewer": () => openViewer(target.dataset.row),
+            "close-modal": closeModal,
+            "close-viewer": closeViewer,
+          };
+          actions[target.dataset.action]();
+        });
+        document.querySelector(".toolbar").addEventListener("input", applyFilters);
+        document.querySelector(".viewer-controls").addEventListener("input", updateViewer);
+        applyFilters();
+      </script>
+
+    </body>
+    </html>
+  `;
+
+  const outputPath = getOutputPath(config, reportPath);
+  fs.writeFileSync(outputPath, htmlContent);
+  return outputPath;
+}
+
+// Save a compact per-run summary so the index can be rebuilt from whichever runs have finished
+function writeRunSummary(results, runName, config) {
+  const summaryPath = getOutputPath(config, getReportPath(runName, "summary", "json"));
+  const summary = {
+    runName,
+    reportPath: getReportPath(runName),
+    generatedAt: new Date().toISOString(),
+    pages: results.map((result) => ({
+      pagePath: result.pagePath,
+      status: getResultStatus(result, config),
+      similarityPercentage:
+        typeof result.similarityPercentage === "number" ? result.similarityPercentage : null,
+    })),
+  };
+  writeFileAtomic(summaryPath, JSON.stringify(summary, null, 2));
+  return summaryPath;
+}
+
+// Drop a run's summary when the run starts, so a run that dies halfway isn't shown in the index
+// with the previous run's results
+function removeRunSummary(runName, config) {
+  fs.rmSync(getOutputPath(config, getReportPath(runName, "summary", "json")), { force: true });
+}
+
+// Write a file in one step: workers build the index while other workers write their summaries,
+// and a rename means a reader sees the old file or the new one, never half of one
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+// Generate an index page linking every run's report (browser project x device),
+// with a page x run pass/fail grid built from the summaries in the output folder
+// With runNames, summaries of other runs (devices or projects since removed from the config) are
+// deleted; summaries that can't be read are skipped and listed at the bottom of the page
+function generateIndexReport(config = {}, runNames = null) {
+  const reportPath = getOutputPath(config, "visual_comparison_report_index.html");
+  const summaries = [];
+  const unreadable = [];
+
+  const files = fs
+    .readdirSync(getOutputPath(config, "."))
+    .filter((file) => /^visual_comparison_summary_.+\.json$/.test(file))
+    .sort();
+  for (const file of files) {
+    const summaryPath = getOutputPath(config, file);
+    let summary;
+    try {
+      summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+    } catch (error) {
+      unreadable.push(`${file} (${error.message})`);
+      continue;
+    }
+
+    if (runNames && !runNames.includes(summary.runName)) {
+      fs.rmSync(summaryPath, { force: true });
+      continue;
+    }
+    summaries.push(summary);
+  }
+
+  const pagePaths = [
+    ...new Set(summaries.flatMap((summary) => summary.pages.map((p) => p.pagePath))),
+  ].sort();
+  const cell = (summary, pagePath) => {
+    const page = summary.pages.find((p) => p.pagePath === pagePath);
+    if (!page) return `<td class="status-none">—</td>`;
+    const similarity =
+      page.similarityPercentage !== null ? ` ${page.similarityPercentage.toFixed(2)}%` : "";
+    return `<td class="status-${page.status}">${page.status}${similarity}</td>`;
+  };
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Report - All Browsers and Devices</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { text-align: center; }
+        .devices { text-align: center; margin-bottom: 20px; }
+        .devices a { margin: 0 10px; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 6px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        td.page { text-align: left; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; background: #fdecea; }
+        .status-error { color: orange; font-weight: bold; }
+        .status-missing { color: purple; font-weight: bold; }
+        .status-none { color: #999; }
+        .skipped { color: #999; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report - All Browsers and Devices</h1>
+      <div class="devices">
+        ${summaries
+          .map(
+            (summary) =>
+              `<a href="${escapeHtml(summary.reportPath)}">${escapeHtml(summary.runName)}</a> (${
+                summary.pages.filter((p) => p.status === "pass").length
+              }/${summary.pages.length} passed, ${new Date(
+                summary.generatedAt
+              ).toLocaleString()})`
+          )
+          .join(" | ")}
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            ${summaries.map((summary) => `<th>${escapeHtml(summary.runName)}</th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+          ${pagePaths
+            .map(
+              (pagePath) => `<tr>
+            <td class="page">${escapeHtml(pagePath)}</td>
+            ${summaries.map((summary) => cell(summary, pagePath)).join("")}
+          </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+      ${
+        unreadable.length > 0
+          ? `<p class="skipped">Skipped unreadable summaries: ${unreadable
+              .map(escapeHtml)
+              .join(", ")}</p>`
+          : ""
+      }
+    </body>
+    </html>
+  `;
+
+  writeFileAtomic(reportPath, htmlContent);
+  return reportPath;
+}
+
+module.exports = {
+  generateHtmlReport,
+  generateIndexReport,
+  writeRunSummary,
+  removeRunSummary,
+};
@@ -0,0 +1,200 @@
+const { isBlockedUrl } = require("./requestBlocker");
+const { checkAsset, assessImage } = require("./assetChecker");
+
+// Split a srcset ("a.jpg 1x, b.jpg 2x" or "a.jpg 480w,b.jpg 800w") into its URLs, the way the
+// HTML spec parses it: a URL runs to the next whitespace (so commas inside it survive), trailing
+// commas end the candidate, and otherwise the descriptors run to the next comma outside brackets
+function parseSrcset(srcset) {
+  const input = srcset || "";
+  const urls = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const start = input.slice(position).search(/[^\s,]/);
+    if (start === -1) break;
+    position += start;
+
+    const url = input.slice(position).match(/^\S+/)[0];
+    position += url.length;
+    urls.push(url.replace(/,+$/, ""));
+    if (url.endsWith(",")) continue;
+
+    let depth = 0;
+    while (position < input.length && (input[position] !== "," || depth > 0)) {
+      if (input[position] === "(") depth++;
+      if (input[position] === ")") depth = Math.max(depth - 1, 0);
+      position++;
+    }
+  }
+
+  return urls;
+}
+
+// Pull the url(...) entries out of a computed background-image value
+function extractCssUrls(backgroundImage) {
+  return [...(backgroundImage || "").matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)].map(
+    (match) => match[2]
+  );
+}
+
+// Gather every image reference on the page, in the browser:
+// <img> src/srcset, <picture> sources, lazy data-* attributes and CSS background images,
+// plus the <img> elements the browser itself failed to render (complete but naturalWidth 0)
+function collectImageReferences(page) {
+  return page.evaluate(() => {
+    const describe = (element) => {
+      const id = element.id ? `#${element.id}` : "";
+      const className =
+        typeof element.className === "string" && element.className.trim()
+          ? `.${element.className.trim().split(/\s+/)[0]}`
+          : "";
+      const alt = element.getAttribute("alt") ? ` alt="${element.getAttribute("alt")}"` : "";
+      return `${element.tagName.toLowerCase()}${id}${className}${alt}`;
+    };
+    const lazyAttributes = ["data-src", "data-lazy-src", "data-original"];
+    const lazySrcsetAttributes = ["data-srcset", "data-lazy-srcset"];
+    const references = [];
+
+    document.querySelectorAll("img").forEach((img) => {
+      const element = describe(img);
+      if (img.getAttribute("src")) {
+        references.push({ kind: "src", value: img.getAttribute("src"), element });
+      }
+      if (img.getAttribute("srcset")) {
+        references.push({ kind: "srcset", value: img.getAttribute("srcset"), element });
+      }
+      [...lazyAttributes, ...lazySrcsetAttributes].forEach((name) => {
+        if (img.getAttribute(name)) {
+          references.push({ kind: name, value: img.getAttribute(name), element });
+        }
+      });
+      const sourceAttributes = ["src", "srcset", ...lazyAttributes, ...lazySrcsetAttributes];
+      if (!sourceAttributes.some((name) => img.getAttribute(name)) && !img.closest("picture")) {
+        references.push({ kind: "missing-src", value: "", element });
+      }
+    });
+
+    document.querySelectorAll("picture source").forEach((source) => {
+      const element = describe(source.closest("picture").querySelector("img") || source);
+      ["srcset", ...lazySrcsetAttributes].forEach((name) => {
+        if (source.getAttribute(name)) {
+          const value = source.getAttribute(name);
+          references.push({ kind: `picture ${name}`, value, element });
+        }
+      });
+    });
+
+    document.querySelectorAll("*").forEach((element) => {
+      const { backgroundImage } = getComputedStyle(element);
+      if (backgroundImage && backgroundImage.includes("url(")) {
+        references.push({
+          kind: "css-background",
+          value: backgroundImage,
+          element: describe(element),
+        });
+      }
+    });
+
+    const rendered = [...document.querySelectorAll("img")]
+      .filter((img) => img.complete && img.naturalWidth === 0 && img.currentSrc)
+      .map((img) => ({ url: img.currentSrc, element: describe(img) }));
+
+    return { references, rendered };
+  });
+}
+
+// Audit every image on a loaded page; URLs are checked through the shared asset checker,
+// so an image used on every page is only requested once per worker
+// With checkUrls off only the browser's own render check runs: a URL's HTTP answer is the same
+// in every browser, so one project checks them and the others don't request them again
+// Returns { pageUrl, checked, skipped, broken, oversized }, where broken and oversized entries
+// are { url, reason, sources: [{ kind, element }] } and checked counts the URLs requested
+async function auditPageImages(page, pageUrl, config, { checkUrls = true } = {}) {
+  const { references, rendered } = await collectImageReferences(page);
+  const byUrl = new Map();
+  const broken = [];
+  const oversized = [];
+  let skipped = 0;
+
+  const addSource = (url, source) => {
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(source);
+  };
+
+  for (const { kind, value, element } of references) {
+    if (kind === "missing-src") {
+      const reason = "no src, srcset or lazy source";
+      broken.push({ url: null, reason, sources: [{ kind, element }] });
+      continue;
+    }
+
+    // Every kind ending in "srcset" holds a candidate list rather than a single URL
+    const rawUrls = kind.endsWith("srcset")
+      ? parseSrcset(value)
+      : kind === "css-background"
+      ? extractCssUrls(value)
+      : [value.trim()];
+
+    for (const rawUrl of rawUrls) {
+      if (/^(data|blob):/i.test(rawUrl)) continue;
+
+      let url;
+      try {
+        url = new URL(rawUrl, pageUrl).toString();
+      } catch (error) {
+        broken.push({ url: rawUrl, reason: "invalid URL", sources: [{ kind, element }] });
+        continue;
+      }
+
+      // Tracking pixels and other blocked requests never load in the tests, so they aren't checked
+      if (isBlockedUrl(url, config)) {
+        skipped++;
+        continue;
+      }
+      addSource(url, { kind, element });
+    }
+  }
+
+  const urls = checkUrls ? [...byUrl.keys()] : [];
+  const checks = await Promise.all(urls.map((url) => checkAsset(url, config)));
+  urls.forEach((url, index) => {
+    const { broken: reason, warning } = assessImage(checks[index], config);
+    if (reason) broken.push({ url, reason, sources: byUrl.get(url) });
+    if (warning) oversized.push({ url, reason: warning, sources: byUrl.get(url) });
+  });
+
+  // Images the server returns fine but the browser couldn't decode or lay out
+  for (const { url, element } of rendered) {
+    if (isBlockedUrl(url, config) || broken.some((entry) => entry.url === url)) continue;
+    broken.push({
+      url,
+      reason: "browser could not render it (naturalWidth 0)",
+      sources: [{ kind: "rendered", element }],
+    });
+  }
+
+  return { pageUrl, checked: urls.length, skipped, broken, oversized };
+}
+
+// Multi-line description of a page's broken (and oversized) images for failure messages and logs
+function formatImageAudit(audit) {
+  const formatEntry = (entry) =>
+    `  - ${entry.url || "(no URL)"}: ${entry.reason} [${entry.sources
+      .map((source) => `${source.kind} on ${source.element}`)
+      .join(", ")}]`;
+  const oversized = audit.oversized || [];
+
+  return [
+    `${audit.pageUrl}: ${audit.broken.length} broken of ${audit.checked} images checked`,
+    ...audit.broken.map(formatEntry),
+    ...(oversized.length > 0 ? [`  Oversized images (${oversized.length}):`] : []),
+    ...oversized.map(formatEntry),
+  ].join("\n");
+}
+
+module.exports = {
+  parseSrcset,
+  extractCssUrls,
+  auditPageImages,
+  formatImageAudit,
+};
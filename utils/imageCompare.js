@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+
+let pixelmatch;
+
+// `pixelmatch` is ESM-only, so load it lazily the first time we compare
+async function loadPixelmatch() {
+  if (!pixelmatch) {
+    pixelmatch = (await import("pixelmatch")).default;
+  }
+  return pixelmatch;
+}
+
+// Copy an image onto a transparent canvas of the given size (no scaling)
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+
+  const padded = new PNG({ width, height });
+  padded.data.fill(0);
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Paint the ignored rectangles the same flat colour on both images so they never mismatch
+// Returns how many pixels of the overlapping area were ignored
+function applyIgnoreRegions(images, ignoreRegions, width, height, overlapWidth, overlapHeight) {
+  const ignored = new Uint8Array(overlapWidth * overlapHeight);
+  let ignoredPixels = 0;
+
+  for (const region of ignoreRegions) {
+    const left = Math.max(Math.floor(region.x), 0);
+    const top = Math.max(Math.floor(region.y), 0);
+    const right = Math.min(Math.ceil(region.x + region.width), width);
+    const bottom = Math.min(Math.ceil(region.y + region.height), height);
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        for (const image of images) {
+          image.data.set([204, 204, 204, 255], (y * width + x) * 4);
+        }
+        if (x < overlapWidth && y < overlapHeight && !ignored[y * overlapWidth + x]) {
+          ignored[y * overlapWidth + x] = 1;
+          ignoredPixels++;
+        }
+      }
+    }
+  }
+
+  return ignoredPixels;
+}
+
+// Group mismatched pixels of a pixelmatch `diffMask` output into bounding rectangles
+// Pixels are bucketed into cellSize x cellSize cells and touching cells are merged,
+// which keeps this fast on 1280x6000 captures and joins nearby text changes into one box
+function findDiffRegions(mask, width, height, { cellSize = 16, maxRegions = 50 } = {}) {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const counts = new Uint32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[(y * width + x) * 4 + 3] > 0) {
+        counts[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)]++;
+      }
+    }
+  }
+
+  const visited = new Uint8Array(cols * rows);
+  const regions = [];
+
+  for (let start = 0; start < counts.length; start++) {
+    if (counts[start] === 0 || visited[start]) continue;
+
+    let minCol = cols;
+    let maxCol = 0;
+    let minRow = rows;
+    let maxRow = 0;
+    let pixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+      pixels += counts[cell];
+
+      // Visit all 8 neighbours so diagonal changes stay in one region
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nextCol = col + dx;
+          const nextRow = row + dy;
+          if (nextCol < 0 || nextCol >= cols || nextRow < 0 || nextRow >= rows) continue;
+
+          const next = nextRow * cols + nextCol;
+          if (counts[next] > 0 && !visited[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const x = minCol * cellSize;
+    const y = minRow * cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxCol + 1) * cellSize, width) - x,
+      height: Math.min((maxRow + 1) * cellSize, height) - y,
+      pixels,
+    });
+  }
+
+  // Largest changes first; a page with hundreds of tiny regions is summarised by the top ones
+  return regions.sort((a, b) => b.pixels - a.pixels).slice(0, maxRegions);
+}
+
+// Count mismatched pixels in the top-left width x height area of a diff mask
+function countMaskPixels(mask, maskWidth, width, height) {
+  let count = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[(y * maskWidth + x) * 4 + 3] > 0) count++;
+    }
+  }
+  return count;
+}
+
+// Compare two screenshots at native resolution
+// The diff image covers both full pages (the shorter one is padded), while similarity is only
+// computed over pixels both captures actually have; the size difference is reported separately
+// (heightDelta, dimensions) and judged against thresholds.maxHeightDelta
+// ignoreRegions are rectangles (masked content) that are excluded from the score and the regions
+// threshold is pixelmatch's per-pixel colour tolerance (0-1)
+async function compareScreenshots(
+  stagingPath,
+  prodPath,
+  diffPath,
+  { ignoreRegions = [], threshold = 0.1 } = {}
+) {
+  if (!fs.existsSync(stagingPath) || !fs.existsSync(prodPath)) {
+    return {
+      similarityPercentage: "Error",
+      error: `Missing file(s): ${stagingPath} or ${prodPath}`,
+    };
+  }
+
+  const match = await loadPixelmatch();
+  const img1 = PNG.sync.read(fs.readFileSync(stagingPath)); // Staging
+  const img2 = PNG.sync.read(fs.readFileSync(prodPath)); // Prod
+
+  const width = Math.max(img1.width, img2.width);
+  const height = Math.max(img1.height, img2.height);
+  const overlapWidth = Math.min(img1.width, img2.width);
+  const overlapHeight = Math.min(img1.height, img2.height);
+  const padded1 = padImage(img1, width, height);
+  const padded2 = padImage(img2, width, height);
+  const diff = new PNG({ width, height });
+  const mask = new Uint8Array(width * height * 4);
+  const ignoredPixels = applyIgnoreRegions(
+    [padded1, padded2],
+    ignoreRegions,
+    width,
+    height,
+    overlapWidth,
+    overlapHeight
+  );
+
+  match(
+    padded1.data,
+    padded2.data,
+    diff.data,
+    width,
+    height,
+    {
+      threshold,
+      diffColor: [0, 0, 255], // Blue for Prod Differences
+      diffColorAlt: [255, 165, 0], // Orange for Staging Differences
+    }
+  );
+
+  fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  // Second pass only marks mismatched pixels, which drives both the score and the regions
+  match(padded1.data, padded2.data, mask, width, height, {
+    threshold,
+    diffMask: true,
+  });
+
+  const totalPixels = overlapWidth * overlapHeight - ignoredPixels;
+  const mismatchedPixels = countMaskPixels(mask, width, overlapWidth, overlapHeight);
+
+  const matchedPixels = totalPixels - mismatchedPixels;
+  return {
+    // A page that is masked out entirely has nothing left to differ
+    similarityPercentage: totalPixels > 0 ? (matchedPixels / totalPixels) * 100 : 100,
+    heightDelta: img2.height - img1.height,
+    widthDelta: img2.width - img1.width,
+    diffRegions: findDiffRegions(mask, width, height),
+    maskedRegions: ignoreRegions,
+    dimensions: {
+      staging: { width: img1.width, height: img1.height },
+      prod: { width: img2.width, height: img2.height },
+    },
+  };
+}
+
+module.exports = { compareScreenshots, findDiffRegions, padImage };
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const { checkAsset } = require("./assetChecker");
+const { matchesAny } = require("./urlPatterns");
+const { getReportPath } = require("./screenshotPaths");
+const { escapeHtml } = require("./htmlEscape");
+const { getOutputPath } = require("./reportAssets");
+
+// Used when config.js has no links section
+const DEFAULT_LINK_OPTIONS = {
+  maxRedirects: 3,
+  checkExternal: false,
+  ignore: [],
+};
+
+// Stop following a chain after this many hops whatever maxRedirects says
+const HARD_HOP_LIMIT = 20;
+
+// Issues that fail the link check; anything else is reported as a warning
+const ERROR_ISSUES = ["broken", "redirect-loop", "cross-environment"];
+
+function getLinkOptions(config) {
+  return { ...DEFAULT_LINK_OPTIONS, ...(config.links || {}) };
+}
+
+// Every <a href> on the loaded page, resolved by the browser: [{ href, url, text }]
+function collectPageLinks(page) {
+  return page.evaluate(() =>
+    [...document.querySelectorAll("a[href]")].map((anchor) => ({
+      href: anchor.getAttribute("href"),
+      url: anchor.href,
+      text: (anchor.textContent || anchor.getAttribute("aria-label") || "").trim().slice(0, 80),
+    }))
+  );
+}
+
+// Sort a link into "internal", "cross-environment" (points at the other environment's host),
+// "external" or "skip" (mailto:, tel:, javascript:, same-page anchors and ignored patterns)
+function classifyLink(link, env, pageUrl, config) {
+  let url;
+  try {
+    url = new URL(link.url || link.href, pageUrl);
+  } catch (error) {
+    return { type: "invalid" };
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) return { type: "skip" };
+  if (link.href.startsWith("#")) return { type: "skip" };
+  if (matchesAny(url.toString(), getLinkOptions(config).ignore)) return { type: "skip" };
+
+  url.hash = "";
+  const hosts = Object.fromEntries(
+    ["staging", "prod"].map((name) => [name, new URL(config[name].baseUrl).host])
+  );
+  const otherEnv = env === "staging" ? "prod" : "staging";
+
+  if (url.host === hosts[env]) return { type: "internal", url: url.toString() };
+  if (url.host === hosts[otherEnv]) return { type: "cross-environment", url: url.toString() };
+  return { type: "external", url: url.toString() };
+}
+
+// Follow a URL's redirects one hop at a time so the whole chain can be reported
+// Returns { chain: [{ url, status }], finalUrl, finalStatus, reason, loop }
+async function traceRedirects(url, config) {
+  const chain = [];
+  const seen = new Set();
+  let current = url;
+
+  while (chain.length < HARD_HOP_LIMIT) {
+    if (seen.has(current)) {
+      return { chain, finalUrl: current, finalStatus: null, reason: "redirect loop", loop: true };
+    }
+    seen.add(current);
+
+    const check = await checkAsset(current, config, { followRedirects: false });
+    chain.push({ url: current, status: check.status });
+
+    const isRedirect = check.status >= 300 && check.status < 400 && check.location;
+    if (!isRedirect) {
+      return {
+        chain,
+        finalUrl: current,
+        finalStatus: check.status,
+        reason: check.reason,
+        loop: false,
+      };
+    }
+    current = check.location;
+  }
+
+  return {
+    chain,
+    finalUrl: current,
+    finalStatus: null,
+    reason: `more than ${HARD_HOP_LIMIT} redirects`,
+    loop: true,
+  };
+}
+
+// Check every link found on an environment's pages; each URL is traced once however many
+// pages link to it. `pages` is [{ pageUrl, links }] from collectPageLinks
+// Returns { env, pages, checked, links: [{ url, type, status, finalUrl, chain, issues, foundOn }] }
+async function checkSiteLinks(env, pages, config) {
+  const options = getLinkOptions(config);
+  const byUrl = new Map();
+
+  for (const { pageUrl, links } of pages) {
+    for (const link of links) {
+      const { type, url } = classifyLink(link, env, pageUrl, config);
+      if (type === "skip" || (type === "external" && !options.checkExternal)) continue;
+
+      const key = url || link.href;
+      if (!byUrl.has(key)) byUrl.set(key, { url: key, type, foundOn: [] });
+      byUrl.get(key).foundOn.push({ pageUrl, text: link.text });
+    }
+  }
+
+  const entries = [...byUrl.values()];
+  await Promise.all(
+    entries.map(async (entry) => {
+      entry.issues = [];
+      if (entry.type === "invalid") {
+        entry.issues.push({ type: "broken", message: "invalid URL" });
+        return;
+      }
+      if (entry.type === "cross-environment") {
+        const otherEnv = env === "staging" ? "prod" : "staging";
+        entry.issues.push({ type: "cross-environment", message: `links to ${otherEnv}` });
+      }
+
+      const trace = await traceRedirects(entry.url, config);
+      const redirects = trace.chain.length - 1;
+      Object.assign(entry, {
+        status: trace.chain[0].status,
+        finalUrl: trace.finalUrl,
+        finalStatus: trace.finalStatus,
+        chain: trace.chain,
+      });
+
+      if (trace.loop) {
+        entry.issues.push({ type: "redirect-loop", message: trace.reason });
+      } else if (trace.finalStatus === null || trace.finalStatus >= 400) {
+        entry.issues.push({ type: "broken", message: trace.reason || "no response" });
+      }
+      if (!trace.loop && redirects > options.maxRedirects) {
+        entry.issues.push({
+          type: "long-redirect-chain",
+          message: `${redirects} redirects (more than ${options.maxRedirects})`,
+        });
+      } else if (redirects > 0 && !trace.loop) {
+        entry.issues.push({ type: "redirect", message: `redirects to ${trace.finalUrl}` });
+      }
+    })
+  );
+
+  return { env, pages: pages.length, checked: entries.length, links: entries };
+}
+
+function isFailingLink(link) {
+  return link.issues.some((issue) => ERROR_ISSUES.includes(issue.type));
+}
+
+// Links with at least one failing issue (broken, loop or cross-environment)
+function getLinkErrors(linkReport) {
+  return linkReport.links.filter(isFailingLink);
+}
+
+// One line per failing link for test failure messages
+function describeLinkError(link) {
+  const issues = link.issues
+    .filter((issue) => ERROR_ISSUES.includes(issue.type))
+    .map((issue) => issue.message)
+    .join("; ");
+  const pages = [...new Set(link.foundOn.map((found) => found.pageUrl))];
+  return `${link.url}: ${issues} (on ${pages.slice(0, 3).join(", ")}${
+    pages.length > 3 ? `, +${pages.length - 3} more` : ""
+  })`;
+}
+
+// Write the link report for an environment as JSON and HTML into config.report.outputDir,
+// e.g. visual_comparison_links_staging.json / .html
+// Only one browser project runs the link check, so the names carry no project
+function writeLinkReport(linkReport, config) {
+  const jsonPath = getOutputPath(config, getReportPath(linkReport.env, "links", "json"));
+  const htmlPath = getOutputPath(config, getReportPath(linkReport.env, "links", "html"));
+  const generatedAt = new Date().toISOString();
+  fs.writeFileSync(jsonPath, JSON.stringify({ generatedAt, ...linkReport }, null, 2));
+
+  // Failing links first, then warnings (long chains and plain redirects)
+  const withIssues = linkReport.links
+    .filter((link) => link.issues.length > 0)
+    .sort((a, b) => Number(isFailingLink(b)) - Number(isFailingLink(a)));
+  const errors = getLinkErrors(linkReport).length;
+  const linkTo = (url) =>
+    `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`;
+
+  const rows = withIssues
+    .map((link) => {
+      const chain = (link.chain || [])
+        .map((hop) => `${escapeHtml(hop.url)} <small>(${hop.status || "no response"})</small>`)
+        .join(" →<br>");
+      const foundOn = [...new Set(link.foundOn.map((found) => found.pageUrl))]
+        .map(linkTo)
+        .join("<br>");
+      const issues = link.issues
+        .map((issue) => `<strong>${escapeHtml(issue.type)}</strong>: ${escapeHtml(issue.message)}`)
+        .join("<br>");
+      return `
+        <tr class="${isFailingLink(link) ? "link-error" : "link-warning"}">
+          <td>${linkTo(link.url)}</td>
+          <td>${issues}</td>
+          <td>${chain}</td>
+          <td>${foundOn}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Link Report - ${escapeHtml(linkReport.env)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 14px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; word-break: break-all; }
+        th { background-color: #f2f2f2; }
+        .link-error td:nth-child(2) { color: red; }
+        .link-warning td:nth-child(2) { color: #b36b00; }
+      </style>
+    </head>
+    <body>
+      <h1>Link Report - ${escapeHtml(linkReport.env)}</h1>
+      <div class="summary">
+        <p>Pages crawled: ${linkReport.pages} | Links checked: ${linkReport.checked}</p>
+        <p>Failing links: <strong>${errors}</strong> | Warnings: <strong>${
+          withIssues.length - errors
+        }</strong></p>
+        <p>Generated: ${new Date(generatedAt).toLocaleString()}</p>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Link</th><th>Issues</th><th>Redirect chain</th><th>Found on</th></tr>
+        </thead>
+        <tbody>${rows || `<tr><td colspan="4">No broken or redirecting links found.</td></tr>`}</tbody>
+      </table>
+    </body>
+    </html>
+  `;
+  fs.writeFileSync(htmlPath, htmlContent);
+
+  return { jsonPath, htmlPath };
+}
+
+module.exports = {
+  DEFAULT_LINK_OPTIONS,
+  getLinkOptions,
+  collectPageLinks,
+  classifyLink,
+  traceRedirects,
+  checkSiteLinks,
+  getLinkErrors,
+  describeLinkError,
+  writeLinkReport,
+};
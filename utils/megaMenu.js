@@ -0,0 +1,184 @@
+const { checkAsset } = require("./assetChecker");
+
+// Used when config.js has no menu section (Max Mega Menu markup)
+const DEFAULT_MENU_OPTIONS = {
+  rootSelector: ".max-mega-menu",
+  itemSelector: "li.mega-menu-item",
+  linkSelector: "a.mega-menu-link",
+  submenuSelector: "ul.mega-sub-menu",
+  indicatorSelector: "span.mega-indicator",
+  mobileToggleSelector: ".mega-menu-toggle button",
+  mobileDevice: "iPhone",
+  openOnHover: true,
+  arrowKeys: true,
+};
+
+function getMenuOptions(config) {
+  return { ...DEFAULT_MENU_OPTIONS, ...(config.menu || {}) };
+}
+
+// Read the whole mega menu from the DOM, hidden submenus included
+// Returns [{ label, href, url, children }]; href is the raw attribute, url the resolved link
+// (null for items without a real target such as href="#")
+function extractMenuTree(page, config) {
+  const { rootSelector, itemSelector, linkSelector } = getMenuOptions(config);
+
+  return page.evaluate(
+    ({ rootSelector, itemSelector, linkSelector }) => {
+      const root = document.querySelector(rootSelector);
+      if (!root) return [];
+
+      // Items nested inside grid rows/columns still belong to the closest menu item above them
+      const childItems = (parent) =>
+        [...parent.querySelectorAll(itemSelector)].filter(
+          (item) => item.parentElement.closest(itemSelector) === (parent === root ? null : parent)
+        );
+
+      const readItem = (item) => {
+        const link = item.querySelector(`:scope > ${linkSelector}`);
+        const title = link && (link.querySelector(".mega-menu-title") || link);
+        const label = title
+          ? (title.textContent.trim() || link.getAttribute("aria-label") || "").replace(/\s+/g, " ")
+          : "";
+        const href = link ? link.getAttribute("href") : null;
+        const hasTarget = href && href.trim() !== "" && !href.trim().startsWith("#");
+
+        return {
+          label,
+          href,
+          url: hasTarget ? link.href : null,
+          children: childItems(item).map(readItem),
+        };
+      };
+
+      return childItems(root).map(readItem);
+    },
+    { rootSelector, itemSelector, linkSelector }
+  );
+}
+
+// Express a menu link relative to its environment so staging and prod menus can be compared:
+// links on the environment's own host become "/path/?query", anything else stays a full URL
+function normalizeMenuUrl(url, baseUrl) {
+  if (!url) return null;
+  const parsed = new URL(url);
+  if (parsed.host !== new URL(baseUrl).host) return parsed.toString();
+  return `${parsed.pathname.replace(/\/{2,}/g, "/")}${parsed.search}`;
+}
+
+// Flatten a menu tree into indented "Label -> /path/" lines, in menu order
+function formatMenuLines(tree, baseUrl, depth = 0) {
+  return tree.flatMap((item) => [
+    `${"  ".repeat(depth)}${item.label || "(no label)"} -> ${
+      normalizeMenuUrl(item.url, baseUrl) || "(no link)"
+    }`,
+    ...formatMenuLines(item.children, baseUrl, depth + 1),
+  ]);
+}
+
+// Locators for the top-level items, so tests can drive the menu the way a visitor would
+// Returns [{ label, link, submenu, indicator, hasSubmenu }]
+async function getTopLevelMenuItems(page, config) {
+  const { rootSelector, itemSelector, linkSelector, submenuSelector, indicatorSelector } =
+    getMenuOptions(config);
+  const items = page.locator(rootSelector).first().locator(`:scope > ${itemSelector}`);
+  const entries = [];
+
+  for (let i = 0; i < (await items.count()); i++) {
+    const item = items.nth(i);
+    const link = item.locator(`:scope > ${linkSelector}`);
+    const submenu = item.locator(`:scope > ${submenuSelector}`);
+    entries.push({
+      label: await link.evaluate((element) => {
+        const title = element.querySelector(".mega-menu-title") || element;
+        return title.textContent.trim().replace(/\s+/g, " ");
+      }),
+      link,
+      submenu,
+      indicator: link.locator(indicatorSelector),
+      hasSubmenu: (await submenu.count()) > 0,
+    });
+  }
+
+  return entries;
+}
+
+// Line diff of the two menus (labels, order, nesting and normalized links)
+// Returns { changes, lines: [{ type: " " | "-" | "+", line }] }, "-" being staging only
+function diffMenuTrees(stagingTree, prodTree, config) {
+  const before = formatMenuLines(stagingTree, config.staging.baseUrl);
+  const after = formatMenuLines(prodTree, config.prod.baseUrl);
+
+  // Longest common subsequence table, filled from the end so the walk below can go forwards
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ type: " ", line: before[i++] });
+      j++;
+    } else if (j >= after.length || (i < before.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: "-", line: before[i++] });
+    } else {
+      lines.push({ type: "+", line: after[j++] });
+    }
+  }
+
+  return { changes: lines.filter((entry) => entry.type !== " ").length, lines };
+}
+
+// Readable tree diff for failure messages
+function formatMenuDiff(diff) {
+  return [
+    "--- staging menu",
+    "+++ prod menu",
+    ...diff.lines.map((entry) => `${entry.type} ${entry.line}`),
+  ].join("\n");
+}
+
+// Every linked menu item as { trail: "Parent > Child", url }
+function collectMenuLinks(tree, parents = []) {
+  return tree.flatMap((item) => {
+    const trail = [...parents, item.label || "(no label)"];
+    return [
+      ...(item.url ? [{ trail: trail.join(" > "), url: item.url }] : []),
+      ...collectMenuLinks(item.children, trail),
+    ];
+  });
+}
+
+// Request every menu target through the shared asset checker (redirects followed)
+// Returns the items whose final answer isn't 200: [{ trail, url, status, reason }]
+async function checkMenuLinks(tree, config) {
+  const links = collectMenuLinks(tree);
+  const checks = await Promise.all(links.map((link) => checkAsset(link.url, config)));
+
+  return links
+    .map((link, index) => ({
+      ...link,
+      status: checks[index].status,
+      reason: checks[index].reason || `HTTP ${checks[index].status}`,
+    }))
+    .filter((link) => link.status !== 200);
+}
+
+module.exports = {
+  DEFAULT_MENU_OPTIONS,
+  getMenuOptions,
+  extractMenuTree,
+  getTopLevelMenuItems,
+  normalizeMenuUrl,
+  formatMenuLines,
+  diffMenuTrees,
+  formatMenuDiff,
+  collectMenuLinks,
+  checkMenuLinks,
+};
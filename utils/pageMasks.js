@@ -0,0 +1,22 @@
+const { matchesAny } = require("./urlPatterns");
+
+// Collect the masks that apply to a page, merging every config.masks entry whose pattern matches
+// hide:    selectors made invisible before capture (layout is kept)
+// blank:   selectors painted over with a solid box by Playwright's screenshot mask
+// regions: pixel rectangles ({ x, y, width, height }) left out of the comparison
+function getPageMasks(config, pagePath) {
+  const masks = { hide: [], blank: [], regions: [] };
+
+  for (const entry of config.masks || []) {
+    const patterns = Array.isArray(entry.pattern) ? entry.pattern : [entry.pattern];
+    if (!matchesAny(pagePath, patterns)) continue;
+
+    masks.hide.push(...(entry.hide || []));
+    masks.blank.push(...(entry.blank || []));
+    masks.regions.push(...(entry.regions || []));
+  }
+
+  return masks;
+}
+
+module.exports = { getPageMasks };
@@ -0,0 +1,178 @@
+// Defaults for config.capture; every step can be switched off there
+const DEFAULT_CAPTURE_OPTIONS = {
+  disableAnimations: true,
+  scrollForLazyLoad: true,
+  waitForFonts: true,
+  waitForImages: true,
+  stableScreenshots: false,
+  maxScreenshotAttempts: 3,
+  // Upper bound for each waiting step, so one stuck image can't hang the whole run
+  stepTimeout: 15000,
+};
+
+const FREEZE_CSS = `
+  *, *::before, *::after {
+    animation-duration: 0s !important;
+    animation-delay: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition: none !important;
+    scroll-behavior: auto !important;
+    caret-color: transparent !important;
+  }
+`;
+
+function getCaptureOptions(config) {
+  return { ...DEFAULT_CAPTURE_OPTIONS, ...(config.capture || {}) };
+}
+
+// Wait for `promise` for at most `ms`; resolves to true if the time ran out first
+// The timer is cleared either way so a finished step doesn't keep the worker busy
+async function withTimeout(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise.then(() => false),
+      new Promise((resolve) => (timer = setTimeout(() => resolve(true), ms))),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Scroll to the bottom one viewport at a time so lazy-loaded content below the fold is requested
+// Capped at 50 viewports so infinite-scroll pages still finish
+async function scrollThroughPage(page) {
+  await page.evaluate(async () => {
+    const step = window.innerHeight;
+    for (let y = 0; y < document.documentElement.scrollHeight && y < step * 50; y += step) {
+      window.scrollTo(0, y);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    window.scrollTo(0, 0);
+  });
+}
+
+// How long the network must stay idle after scrolling before lazy loading counts as finished
+const NETWORK_QUIET_MS = 500;
+
+// Count the page's in-flight requests from now on
+// `settled()` resolves once nothing has been pending for NETWORK_QUIET_MS; `stop()` detaches
+function trackNetwork(page) {
+  const pending = new Set();
+  let timer;
+  let resolveQuiet;
+  const quiet = new Promise((resolve) => (resolveQuiet = resolve));
+
+  const restartQuietTimer = () => {
+    clearTimeout(timer);
+    if (pending.size === 0) timer = setTimeout(resolveQuiet, NETWORK_QUIET_MS);
+  };
+  const onRequest = (request) => {
+    pending.add(request);
+    clearTimeout(timer);
+  };
+  const onDone = (request) => {
+    pending.delete(request);
+    restartQuietTimer();
+  };
+
+  page.on("request", onRequest);
+  page.on("requestfinished", onDone);
+  page.on("requestfailed", onDone);
+
+  return {
+    settled() {
+      restartQuietTimer();
+      return quiet;
+    },
+    stop() {
+      clearTimeout(timer);
+      page.off("request", onRequest);
+      page.off("requestfinished", onDone);
+      page.off("requestfailed", onDone);
+    },
+  };
+}
+
+// Wait until every <img> has loaded (or failed) and been decoded
+async function waitForImages(page) {
+  await page.evaluate(async () => {
+    await Promise.all(
+      Array.from(document.images).map((img) => {
+        if (img.complete) return img.decode().catch(() => {});
+        return new Promise((resolve) => {
+          img.addEventListener("load", () => img.decode().catch(() => {}).then(resolve));
+          img.addEventListener("error", resolve);
+        });
+      })
+    );
+  });
+}
+
+// Bring a freshly loaded page into a repeatable state before a screenshot:
+// freeze animations, trigger lazy loading, then wait for web fonts and images
+// Returns { timedOut } listing the steps that gave up after stepTimeout, so the capture can say
+// which part of the page may not have finished loading
+async function stabilizePage(page, options = DEFAULT_CAPTURE_OPTIONS) {
+  const timedOut = [];
+  const waitFor = async (step, promise) => {
+    if (await withTimeout(promise, options.stepTimeout)) timedOut.push(step);
+  };
+
+  if (options.disableAnimations) {
+    await page.addStyleTag({ content: FREEZE_CSS });
+  }
+
+  if (options.scrollForLazyLoad) {
+    // The page already reached "networkidle" when it loaded, so waitForLoadState would return at
+    // once; count the requests the scroll itself starts and wait for them instead
+    const network = trackNetwork(page);
+    try {
+      await waitFor("scrollForLazyLoad", scrollThroughPage(page));
+      await waitFor("lazyLoadRequests", network.settled());
+    } finally {
+      network.stop();
+    }
+  }
+
+  if (options.waitForFonts) {
+    await waitFor(
+      "waitForFonts",
+      page.evaluate(() => document.fonts.ready.then(() => undefined))
+    );
+  }
+
+  if (options.waitForImages) {
+    await waitFor("waitForImages", waitForImages(page));
+  }
+
+  return { timedOut };
+}
+
+// Take a screenshot; with stableScreenshots on, keep retaking until two in a row are identical
+// Returns the final image buffer and whether it was confirmed stable
+async function takeStableScreenshot(page, screenshotOptions, options = DEFAULT_CAPTURE_OPTIONS) {
+  const shotOptions = {
+    ...screenshotOptions,
+    animations: options.disableAnimations ? "disabled" : "allow",
+    caret: "hide",
+  };
+  let previous = await page.screenshot(shotOptions);
+
+  if (!options.stableScreenshots) return { buffer: previous, stable: true };
+
+  for (let attempt = 2; attempt <= options.maxScreenshotAttempts; attempt++) {
+    const current = await page.screenshot(shotOptions);
+    if (current.equals(previous)) return { buffer: current, stable: true };
+    previous = current;
+  }
+
+  return { buffer: previous, stable: false };
+}
+
+module.exports = {
+  DEFAULT_CAPTURE_OPTIONS,
+  getCaptureOptions,
+  stabilizePage,
+  takeStableScreenshot,
+};
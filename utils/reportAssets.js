@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { getReportPath } = require("./screenshotPaths");
+
+// Used when config.js has no report section
+const DEFAULT_REPORT_OPTIONS = {
+  mode: "assets",
+  thumbnailWidth: 400,
+  thumbnailFormat: "webp",
+  thumbnailQuality: 70,
+  outputDir: ".",
+};
+
+// WebP can't encode images taller than this; longer thumbnails fall back to JPEG
+const WEBP_MAX_DIMENSION = 16383;
+
+function getReportOptions(config) {
+  return { ...DEFAULT_REPORT_OPTIONS, ...(config.report || {}) };
+}
+
+// Where a report file (or the assets folder) is written: `fileName` inside config.report.outputDir
+// Links between reports stay relative, so the whole output folder can be moved or published
+function getOutputPath(config, fileName) {
+  return path.join(getReportOptions(config).outputDir, fileName);
+}
+
+// Folder next to the report holding its thumbnails and full-size copies,
+// e.g. visual_comparison_assets_chromium_Desktop/
+function getReportAssetsDir(runName) {
+  return getReportPath(runName, "assets", "").replace(/\.$/, "");
+}
+
+// Convert image to Base64
+function imageToBase64(imagePath) {
+  if (fs.existsSync(imagePath)) {
+    const imageData = fs.readFileSync(imagePath).toString("base64");
+    const ext = path.extname(imagePath).replace(".", ""); // Get file extension (e.g., png)
+    return `data:image/${ext};base64,${imageData}`;
+  }
+  return null; // Return null if image is missing
+}
+
+// Relative URL of a file in the assets folder; screenshot names contain "?" and "=" so each part is encoded
+function toAssetUrl(filePath) {
+  return filePath.split(path.sep).map(encodeURIComponent).join("/");
+}
+
+// Start each report from an empty assets folder so images from older runs never linger
+function resetReportAssets(runName, config) {
+  const assetsDir = getOutputPath(config, getReportAssetsDir(runName));
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+  fs.mkdirSync(getOutputPath(config, "."), { recursive: true });
+  if (getReportOptions(config).mode === "assets") fs.mkdirSync(assetsDir, { recursive: true });
+}
+
+// Prepare one report image: { src, full, width } or null when the file is missing
+// "assets" mode writes a compressed thumbnail plus a full-size copy into the assets folder;
+// "single-file" mode inlines the full-size PNG as base64 so the report can be emailed on its own
+async function prepareReportImage(imagePath, runName, type, config) {
+  if (!fs.existsSync(imagePath)) return null;
+
+  const options = getReportOptions(config);
+  if (options.mode === "single-file") {
+    return { src: imageToBase64(imagePath), full: null, width: null };
+  }
+
+  // Paths relative to the report, used for the URLs; files are written under the output folder
+  const assetsDir = path.join(getReportAssetsDir(runName), type);
+  const baseName = path.basename(imagePath, path.extname(imagePath));
+  fs.mkdirSync(getOutputPath(config, assetsDir), { recursive: true });
+
+  const fullPath = path.join(assetsDir, path.basename(imagePath));
+  fs.copyFileSync(imagePath, getOutputPath(config, fullPath));
+
+  const { width, height } = await sharp(imagePath).metadata();
+  const thumbnailHeight = Math.round(height * Math.min(1, options.thumbnailWidth / width));
+  const format =
+    options.thumbnailFormat === "webp" && thumbnailHeight > WEBP_MAX_DIMENSION
+      ? "jpeg"
+      : options.thumbnailFormat;
+  const extension = format === "jpeg" ? "jpg" : format;
+  const thumbnailPath = path.join(assetsDir, `${baseName}.thumb.${extension}`);
+
+  await sharp(imagePath, { limitInputPixels: false })
+    .resize({ width: options.thumbnailWidth, withoutEnlargement: true })
+    .toFormat(format, { quality: options.thumbnailQuality })
+    .toFile(getOutputPath(config, thumbnailPath));
+
+  return { src: toAssetUrl(thumbnailPath), full: toAssetUrl(fullPath), width };
+}
+
+module.exports = {
+  DEFAULT_REPORT_OPTIONS,
+  getReportOptions,
+  getOutputPath,
+  getReportAssetsDir,
+  imageToBase64,
+  resetReportAssets,
+  prepareReportImage,
+};
@@ -0,0 +1,35 @@
+const { matchesAny } = require("./urlPatterns");
+
+function getBlockingOptions(config) {
+  return { urlPatterns: [], hideSelectors: [], ...(config.blocking || {}) };
+}
+
+// Check a full request URL against config.blocking.urlPatterns
+function isBlockedUrl(url, config) {
+  return matchesAny(url, getBlockingOptions(config).urlPatterns);
+}
+
+// Abort third-party requests and hide injected widgets on a page before it navigates
+// Widgets are hidden with a stylesheet added on every document, so late-injected chat
+// bubbles and consent banners are covered too
+async function installBlocking(page, config) {
+  const { urlPatterns, hideSelectors } = getBlockingOptions(config);
+
+  if (urlPatterns.length > 0) {
+    await page.route("**/*", (route) =>
+      isBlockedUrl(route.request().url(), config) ? route.abort("blockedbyclient") : route.fallback()
+    );
+  }
+
+  if (hideSelectors.length > 0) {
+    await page.addInitScript((css) => {
+      document.addEventListener("DOMContentLoaded", () => {
+        const style = document.createElement("style");
+        style.textContent = css;
+        document.head.appendChild(style);
+      });
+    }, `${hideSelectors.join(", ")} { display: none !important; }`);
+  }
+}
+
+module.exports = { getBlockingOptions, isBlockedUrl, installBlocking };
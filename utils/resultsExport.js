@@ -0,0 +1,143 @@
+const fs = require("fs");
+const { buildUrl } = require("./configLoader");
+const { formatMissingReason } = require("./urlDiscovery");
+const {
+  getPageThreshold,
+  getHeightDeltaPercent,
+  isHeightDeltaOver,
+  getResultStatus,
+} = require("./thresholds");
+const { getReportPath } = require("./screenshotPaths");
+const { getOutputPath } = require("./reportAssets");
+const { escapeHtml } = require("./htmlEscape");
+
+// One-line explanation of a result, used in gating messages and JUnit failures
+function describeResult(result, config) {
+  const status = getResultStatus(result, config);
+  if (status === "missing") {
+    return `${result.pagePath}: missing on ${result.missingOn} (${formatMissingReason(result)})`;
+  }
+  if (status === "error") {
+    return `${result.pagePath}: error${result.error ? ` (${result.error})` : ""}`;
+  }
+  const threshold = result.threshold || getPageThreshold(config, result.pagePath);
+  const heightNote = isHeightDeltaOver(result, threshold)
+    ? `; page height differs by ${getHeightDeltaPercent(result).toFixed(1)}% (limit ${
+        threshold.maxHeightDelta
+      }%)`
+    : "";
+  return `${result.pagePath}: ${result.similarityPercentage.toFixed(2)}% (threshold ${
+    threshold.pass
+  }%, ${threshold.source})${heightNote}`;
+}
+
+// Per-side view of a page: its URL and how the capture (or existence check) went
+// Sides are staging/prod, or current/baseline/reference in the other comparison modes
+function getEnvironmentResults(result, config) {
+  const captures = result.captures || {};
+  const sides = Object.keys(captures).length > 0 ? Object.keys(captures) : ["staging", "prod"];
+  return Object.fromEntries(
+    sides.map((env) => {
+      const capture = captures[env];
+      const missing = result.missingOn === env;
+      const configuredUrl = config[env] ? buildUrl(config[env].baseUrl, result.pagePath) : null;
+      return [
+        env,
+        {
+          url: capture ? capture.url : configuredUrl,
+          status: capture ? capture.status : missing ? result.missingStatus || null : null,
+          finalUrl: capture ? capture.finalUrl : missing ? result.redirectedTo || null : null,
+          durationMs: capture ? capture.durationMs : null,
+          error: capture ? capture.error : missing ? result.error || null : null,
+          timedOutSteps: capture ? capture.timedOutSteps || [] : [],
+          missing,
+        },
+      ];
+    })
+  );
+}
+
+// Write the run's results as JSON so CI dashboards can read them without scraping the HTML report
+function writeResultsJson(results, runName, config, mode = "staging-vs-prod") {
+  const resultsPath = getOutputPath(config, getReportPath(runName, "results", "json"));
+  const pages = results.map((result) => ({
+    pagePath: result.pagePath,
+    status: getResultStatus(result, config),
+    similarityPercentage:
+      typeof result.similarityPercentage === "number" ? result.similarityPercentage : null,
+    error: result.error || null,
+    threshold: result.threshold || getPageThreshold(config, result.pagePath),
+    heightDelta: result.heightDelta !== undefined ? result.heightDelta : null,
+    widthDelta: result.widthDelta !== undefined ? result.widthDelta : null,
+    dimensions: result.dimensions || null,
+    diffRegions: result.diffRegions || [],
+    maskedRegions: result.maskedRegions || [],
+    environments: getEnvironmentResults(result, config),
+    images: result.images || {},
+  }));
+
+  const totals = pages.reduce(
+    (counts, page) => ({ ...counts, [page.status]: (counts[page.status] || 0) + 1 }),
+    { pass: 0, fail: 0, error: 0, missing: 0 }
+  );
+
+  const output = {
+    runName,
+    mode,
+    generatedAt: new Date().toISOString(),
+    reportPath: getReportPath(runName),
+    totals: { pages: pages.length, ...totals },
+    pages,
+  };
+  fs.writeFileSync(resultsPath, JSON.stringify(output, null, 2));
+  return resultsPath;
+}
+
+// Write a JUnit XML file with one testcase per page
+// Failed comparisons are <failure>s; capture errors and missing pages are <error>s
+function writeJUnitReport(results, runName, config) {
+  const junitPath = getOutputPath(config, getReportPath(runName, "junit", "xml"));
+  const counts = { fail: 0, error: 0 };
+
+  const testcases = results.map((result) => {
+    const status = getResultStatus(result, config);
+    const message = escapeHtml(describeResult(result, config));
+    const seconds = Object.values(result.captures || {}).reduce(
+      (total, capture) => Math.max(total, (capture.durationMs || 0) / 1000),
+      0
+    );
+    const attributes = `name="${escapeHtml(result.pagePath)}" classname="visual.${escapeHtml(
+      runName.replace(/\//g, ".")
+    )}" time="${seconds.toFixed(3)}"`;
+
+    if (status === "pass") {
+      return `    <testcase ${attributes}/>`;
+    }
+    if (status === "fail") {
+      counts.fail++;
+      return `    <testcase ${attributes}>\n      <failure message="${message}" type="VisualDifference">${message}</failure>\n    </testcase>`;
+    }
+    counts.error++;
+    const type = status === "missing" ? "MissingPage" : "CaptureError";
+    return `    <testcase ${attributes}>\n      <error message="${message}" type="${type}">${message}</error>\n    </testcase>`;
+  });
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="Visual Comparison" tests="${results.length}" failures="${counts.fail}" errors="${counts.error}">`,
+    `  <testsuite name="${escapeHtml(runName)}" tests="${results.length}" failures="${counts.fail}" errors="${counts.error}" timestamp="${new Date().toISOString()}">`,
+    ...testcases,
+    `  </testsuite>`,
+    `</testsuites>`,
+    "",
+  ].join("\n");
+
+  fs.writeFileSync(junitPath, xml);
+  return junitPath;
+}
+
+module.exports = {
+  describeResult,
+  writeResultsJson,
+  writeJUnitReport,
+};
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { SCREENSHOTS_DIR, getReportPath } = require("./screenshotPaths");
+const { getResultStatus } = require("./thresholds");
+const { getOutputPath, getReportAssetsDir } = require("./reportAssets");
+
+const HISTORY_DIR = "history";
+
+// Used when config.js has no history section
+const DEFAULT_HISTORY_OPTIONS = {
+  keepRuns: 30,
+  sparklineRuns: 10,
+  archiveScreenshots: false,
+};
+
+function getHistoryOptions(config) {
+  return { ...DEFAULT_HISTORY_OPTIONS, ...(config.history || {}) };
+}
+
+// Folder holding one browser project/device's archived runs, inside config.report.outputDir
+function getHistoryDir(runName, config) {
+  return getOutputPath(config, path.join(HISTORY_DIR, runName));
+}
+
+// Run history for one browser project/device, e.g. history/chromium/Desktop/history.json
+function getHistoryPath(runName, config) {
+  return path.join(getHistoryDir(runName, config), "history.json");
+}
+
+// Earlier runs, oldest first: [{ timestamp, archivePath, pages: { [pagePath]: { status, similarityPercentage } } }]
+function loadHistory(runName, config) {
+  const historyPath = getHistoryPath(runName, config);
+  if (!fs.existsSync(historyPath)) return [];
+  return JSON.parse(fs.readFileSync(historyPath, "utf8")).runs || [];
+}
+
+// Reduce results to what the history keeps per page
+function summarizePages(results, config) {
+  return Object.fromEntries(
+    results.map((result) => [
+      result.pagePath,
+      {
+        status: getResultStatus(result, config),
+        similarityPercentage:
+          typeof result.similarityPercentage === "number" ? result.similarityPercentage : null,
+      },
+    ])
+  );
+}
+
+// Similarity of a page over the last `limit` runs, oldest first, ending with the current result
+// Runs where the page errored or wasn't tested are null so gaps stay visible
+function getPageTrend(history, result, limit) {
+  const earlierRuns = limit > 1 ? history.slice(-(limit - 1)) : [];
+  const earlier = earlierRuns.map((run) => {
+    const page = run.pages[result.pagePath];
+    return page ? page.similarityPercentage : null;
+  });
+  const current =
+    typeof result.similarityPercentage === "number" ? result.similarityPercentage : null;
+  return [...earlier, current];
+}
+
+// Pages whose pass/fail state flipped since the previous run
+// Only pages present in both runs count; a page that was never tested before isn't "newly" anything
+function compareWithPreviousRun(history, results, config) {
+  const previous = history[history.length - 1];
+  if (!previous) return { previousRun: null, newlyFailing: [], newlyFixed: [] };
+
+  const newlyFailing = [];
+  const newlyFixed = [];
+  for (const [pagePath, page] of Object.entries(summarizePages(results, config))) {
+    const before = previous.pages[pagePath];
+    if (!before) continue;
+    if (before.status === "pass" && page.status !== "pass") {
+      newlyFailing.push({ pagePath, before, after: page });
+    } else if (before.status !== "pass" && page.status === "pass") {
+      newlyFixed.push({ pagePath, before, after: page });
+    }
+  }
+
+  return { previousRun: previous.timestamp, newlyFailing, newlyFixed };
+}
+
+// The archived report still links every image's full-size copy (data-full); drop the links whose
+// file wasn't archived so the image views use the thumbnail instead of a broken image
+function unlinkMissingFullImages(reportFile, archivePath) {
+  let unlinked = 0;
+  const unlinkMissing = (attribute, url) => {
+    const filePath = decodeURIComponent(url.replace(/&#39;/g, "'").replace(/&amp;/g, "&"));
+    if (fs.existsSync(path.join(archivePath, filePath))) return attribute;
+    unlinked++;
+    return "";
+  };
+  const html = fs.readFileSync(reportFile, "utf8").replace(/ data-full="([^"]*)"/g, unlinkMissing);
+  if (unlinked === 0) return;
+
+  fs.writeFileSync(
+    reportFile,
+    html.replace(
+      "<body>",
+      `<body>
+      <p style="text-align: center; color: #555;">Archived run: full-size captures were not kept
+      (history.archiveScreenshots), so images open at thumbnail size.</p>`
+    )
+  );
+}
+
+// Copy this run's reports, report assets and (optionally) screenshots into a timestamped folder
+// and record it in the run history; runs beyond config.history.keepRuns are deleted, oldest first
+function archiveRun(results, runName, config) {
+  const options = getHistoryOptions(config);
+  const timestamp = new Date().toISOString();
+  const archivePath = path.join(getHistoryDir(runName, config), timestamp.replace(/[:.]/g, "-"));
+  fs.mkdirSync(archivePath, { recursive: true });
+
+  for (const [kind, extension] of [
+    ["report", "html"],
+    ["results", "json"],
+    ["junit", "xml"],
+  ]) {
+    const reportPath = getReportPath(runName, kind, extension);
+    if (fs.existsSync(getOutputPath(config, reportPath))) {
+      fs.copyFileSync(getOutputPath(config, reportPath), path.join(archivePath, reportPath));
+    }
+  }
+
+  // Full-size captures are only kept with archiveScreenshots; thumbnails and diffs always are,
+  // so an archived report still shows every row without storing each run's screenshots again
+  const assetsDir = getReportAssetsDir(runName);
+  const keepAsset = (source) =>
+    options.archiveScreenshots ||
+    fs.statSync(source).isDirectory() ||
+    path.basename(source).includes(".thumb.") ||
+    path.basename(path.dirname(source)) === "diff";
+  if (fs.existsSync(getOutputPath(config, assetsDir))) {
+    fs.cpSync(getOutputPath(config, assetsDir), path.join(archivePath, assetsDir), {
+      recursive: true,
+      filter: keepAsset,
+    });
+  }
+  const archivedReport = path.join(archivePath, getReportPath(runName));
+  if (fs.existsSync(archivedReport)) unlinkMissingFullImages(archivedReport, archivePath);
+
+  const screenshotsPath = path.join(SCREENSHOTS_DIR, runName);
+  if (options.archiveScreenshots && fs.existsSync(screenshotsPath)) {
+    fs.cpSync(screenshotsPath, path.join(archivePath, SCREENSHOTS_DIR), { recursive: true });
+  }
+
+  const runs = [
+    ...loadHistory(runName, config),
+    { timestamp, archivePath, pages: summarizePages(results, config) },
+  ];
+  const dropped = runs.splice(0, Math.max(runs.length - options.keepRuns, 0));
+  dropped.forEach((run) => fs.rmSync(run.archivePath, { recursive: true, force: true }));
+
+  fs.writeFileSync(
+    getHistoryPath(runName, config),
+    `${JSON.stringify({ runName, runs }, null, 2)}\n`
+  );
+  return archivePath;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  DEFAULT_HISTORY_OPTIONS,
+  getHistoryOptions,
+  loadHistory,
+  getPageTrend,
+  compareWithPreviousRun,
+  archiveRun,
+};
@@ -0,0 +1,32 @@
+const path = require("path");
+
+const SCREENSHOTS_DIR = "screenshots";
+
+// Identify one browser project + device combination, e.g. "chromium/Desktop"
+// Every screenshot, baseline and report is namespaced by it so projects never overwrite each other
+function getRunName(projectName, deviceName) {
+  return `${projectName.replace(/[^A-Za-z0-9_-]+/g, "-")}/${deviceName}`;
+}
+
+// Turn a page path into a file name ("/apply/?d=X" -> "_apply_?d=X.png")
+function screenshotFileName(pagePath) {
+  return `${pagePath.replace(/\//g, "_")}.png`;
+}
+
+// Path of a captured screenshot, e.g. screenshots/chromium/Desktop/staging/_about_.png
+function getScreenshotPath(runName, type, pagePath) {
+  return path.join(SCREENSHOTS_DIR, runName, type, screenshotFileName(pagePath));
+}
+
+// Report file for a run, e.g. visual_comparison_report_chromium_Desktop.html
+function getReportPath(runName, kind = "report", extension = "html") {
+  return `visual_comparison_${kind}_${runName.replace(/\//g, "_")}.${extension}`;
+}
+
+module.exports = {
+  SCREENSHOTS_DIR,
+  getRunName,
+  screenshotFileName,
+  getScreenshotPath,
+  getReportPath,
+};
@@ -0,0 +1,104 @@
+const { matchesAny } = require("./urlPatterns");
+
+// Used when config.js has no thresholds section
+const DEFAULT_THRESHOLDS = { pass: 95, pixelmatch: 0.1, maxHeightDelta: 5 };
+
+// Resolve the thresholds a page is judged against
+// The first override whose pattern matches wins; anything it leaves out falls back to the default
+function getPageThreshold(config, pagePath) {
+  const thresholds = config.thresholds || {};
+  const defaults = { ...DEFAULT_THRESHOLDS, ...(thresholds.default || {}) };
+
+  const override = (thresholds.overrides || []).find((entry) =>
+    matchesAny(pagePath, Array.isArray(entry.pattern) ? entry.pattern : [entry.pattern])
+  );
+
+  if (!override) {
+    return {
+      pass: defaults.pass,
+      pixelmatch: defaults.pixelmatch,
+      maxHeightDelta: defaults.maxHeightDelta,
+      source: "default",
+    };
+  }
+
+  return {
+    pass: override.pass !== undefined ? override.pass : defaults.pass,
+    pixelmatch: override.pixelmatch !== undefined ? override.pixelmatch : defaults.pixelmatch,
+    maxHeightDelta:
+      override.maxHeightDelta !== undefined ? override.maxHeightDelta : defaults.maxHeightDelta,
+    source: [].concat(override.pattern).join(", "),
+  };
+}
+
+// How much the two captures' heights differ, as a % of the taller one (null without dimensions)
+// Similarity only covers the area both captures have, so this is what catches lost content
+function getHeightDeltaPercent(result) {
+  if (!result.dimensions) return null;
+  const heights = Object.values(result.dimensions).map((size) => size.height);
+  const taller = Math.max(...heights);
+  return taller > 0 ? ((taller - Math.min(...heights)) / taller) * 100 : 0;
+}
+
+// Whether a result's height difference is over its page's limit (rows archived before the
+// limit existed have no maxHeightDelta and are never over)
+function isHeightDeltaOver(result, threshold) {
+  const percent = getHeightDeltaPercent(result);
+  return (
+    percent !== null &&
+    threshold.maxHeightDelta !== undefined &&
+    percent > threshold.maxHeightDelta
+  );
+}
+
+// Judge a comparison result: "pass", "fail", "error" or "missing" (page exists on one side only)
+// Rows without a threshold of their own are judged against their page's config
+function getResultStatus(result, config) {
+  if (result.missingOn) return "missing";
+  if (typeof result.similarityPercentage !== "number") return "error";
+
+  const threshold = result.threshold || getPageThreshold(config, result.pagePath);
+  if (isHeightDeltaOver(result, threshold)) return "fail";
+  return result.similarityPercentage >= threshold.pass ? "pass" : "fail";
+}
+
+// List problems with config.thresholds in the same format loadConfig reports URL problems
+function validateThresholds(thresholds = {}) {
+  const problems = [];
+  const isInRange = (value, max) =>
+    value === undefined || (typeof value === "number" && value >= 0 && value <= max);
+  const check = (label, entry) => {
+    if (!isInRange(entry.pass, 100)) {
+      problems.push(`${label}.pass: ${JSON.stringify(entry.pass)} - must be a number from 0 to 100`);
+    }
+    if (!isInRange(entry.pixelmatch, 1)) {
+      problems.push(
+        `${label}.pixelmatch: ${JSON.stringify(entry.pixelmatch)} - must be a number from 0 to 1`
+      );
+    }
+    if (!isInRange(entry.maxHeightDelta, 100)) {
+      problems.push(
+        `${label}.maxHeightDelta: ${JSON.stringify(
+          entry.maxHeightDelta
+        )} - must be a number from 0 to 100`
+      );
+    }
+  };
+
+  check("thresholds.default", thresholds.default || {});
+  (thresholds.overrides || []).forEach((entry, index) => {
+    if (!entry.pattern) problems.push(`thresholds.overrides[${index}].pattern: missing`);
+    check(`thresholds.overrides[${index}]`, entry);
+  });
+
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getPageThreshold,
+  getHeightDeltaPercent,
+  isHeightDeltaOver,
+  getResultStatus,
+  validateThresholds,
+};
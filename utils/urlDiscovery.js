@@ -0,0 +1,201 @@
+const axios = require("axios");
+const { buildUrl, normalizePagePath } = require("./configLoader");
+const { applyUrlRules } = require("./urlPatterns");
+
+// Sitemap indexes can nest, but a real site never needs more than a couple of levels
+const MAX_SITEMAP_DEPTH = 5;
+
+const sitemapCache = new Map();
+
+// Decode the handful of XML entities that show up in <loc> values
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Parse a sitemap or sitemap index document into its <loc> entries
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const blockPattern = isIndex
+    ? /<sitemap[\s>][\s\S]*?<\/sitemap>/gi
+    : /<url[\s>][\s\S]*?<\/url>/gi;
+
+  const locations = (xml.match(blockPattern) || [])
+    .map((block) => {
+      const match = block.match(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/i);
+      return match ? decodeXmlEntities(match[1].trim()) : null;
+    })
+    .filter(Boolean);
+
+  return { isIndex, locations };
+}
+
+// Fetch a sitemap and follow any nested sitemap indexes, returning every page URL found
+async function fetchSitemapUrls(sitemapUrl, depth = 0, visited = new Set()) {
+  if (depth > MAX_SITEMAP_DEPTH) {
+    throw new Error(`Sitemap nesting is deeper than ${MAX_SITEMAP_DEPTH} levels at ${sitemapUrl}`);
+  }
+  if (visited.has(sitemapUrl)) return [];
+  visited.add(sitemapUrl);
+
+  let response;
+  try {
+    response = await axios.get(sitemapUrl, { timeout: 30000, responseType: "text" });
+  } catch (error) {
+    const reason = error.response ? `Status: ${error.response.status}` : error.message;
+    throw new Error(`Failed to fetch sitemap ${sitemapUrl} (${reason})`);
+  }
+
+  const { isIndex, locations } = parseSitemap(String(response.data));
+
+  if (!isIndex) return locations;
+
+  const urls = [];
+  for (const childUrl of locations) {
+    urls.push(...(await fetchSitemapUrls(childUrl, depth + 1, visited)));
+  }
+  return urls;
+}
+
+// Read one environment's sitemap and turn its entries into canonical page paths
+async function discoverFromSitemap(baseUrl, sitemapPath, knownHosts) {
+  const sitemapUrl = buildUrl(baseUrl, sitemapPath);
+
+  if (!sitemapCache.has(sitemapUrl)) {
+    sitemapCache.set(sitemapUrl, fetchSitemapUrls(sitemapUrl));
+  }
+
+  const pagePaths = [];
+  for (const location of await sitemapCache.get(sitemapUrl)) {
+    // Entries pointing at other hosts are not part of this comparison, so skip them
+    const { pagePath } = normalizePagePath(location, knownHosts);
+    if (pagePath) pagePaths.push(pagePath);
+  }
+  return pagePaths;
+}
+
+// Resolve the page paths to test for each environment
+// "config" mode uses the hand-maintained lists; "sitemap" mode merges them with each site's sitemap.xml
+async function discoverUrls(config) {
+  const discovery = config.discovery || {};
+  const mode = discovery.mode || "config";
+  const knownHosts = ["staging", "prod"].map((env) => new URL(config[env].baseUrl).host);
+  const discovered = {};
+
+  if (!["config", "sitemap"].includes(mode)) {
+    throw new Error(`Unknown discovery mode "${mode}" in config.js (expected "config" or "sitemap")`);
+  }
+
+  for (const env of ["staging", "prod"]) {
+    const pagePaths = [...config[env].urls];
+
+    if (mode === "sitemap") {
+      pagePaths.push(
+        ...(await discoverFromSitemap(
+          config[env].baseUrl,
+          discovery.sitemapPath || "/sitemap.xml",
+          knownHosts
+        ))
+      );
+    }
+
+    discovered[env] = applyUrlRules([...new Set(pagePaths)], discovery);
+  }
+
+  return discovered;
+}
+
+// Fetch the HTTP status of a URL without throwing on 4xx/5xx responses
+// Redirects aren't followed: a 3xx comes back as is, with its Location resolved to a full URL
+async function fetchHttpStatus(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: 30000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    const { location } = response.headers;
+    return {
+      status: response.status,
+      location: location ? new URL(location, url).toString() : null,
+    };
+  } catch (error) {
+    return { status: null, error: error.message };
+  }
+}
+
+// Why a one-sided page counts as missing, for logs, gating messages and the report
+function formatMissingReason(row) {
+  if (!row.missingStatus) return row.error;
+  return `HTTP ${row.missingStatus}${row.redirectedTo ? ` to ${row.redirectedTo}` : ""}`;
+}
+
+// Every device and project test in a worker asks the same question, so ask the sites only once
+const missingPagesCache = new Map();
+
+// Split discovered paths into pages present on both environments and pages present on only one
+// For one-sided pages the other environment is requested: if it answers 2xx the page just wasn't
+// listed there, so it is compared anyway and reported in `unlisted`; anything else is `missing`.
+// A redirect counts as missing too (a deleted page sent to the home page must not be compared
+// as if it were the page itself); the target is kept in `redirectedTo`
+function findMissingPages(urls, config) {
+  const key = JSON.stringify([
+    config.staging.baseUrl,
+    config.prod.baseUrl,
+    urls.staging,
+    urls.prod,
+  ]);
+
+  if (!missingPagesCache.has(key)) {
+    missingPagesCache.set(key, checkOneSidedPages(urls, config));
+  }
+  return missingPagesCache.get(key);
+}
+
+async function checkOneSidedPages(urls, config) {
+  const stagingPaths = new Set(urls.staging);
+  const prodPaths = new Set(urls.prod);
+  const shared = urls.staging.filter((pagePath) => prodPaths.has(pagePath));
+  const oneSided = [
+    ...urls.staging
+      .filter((pagePath) => !prodPaths.has(pagePath))
+      .map((pagePath) => ({ pagePath, missingOn: "prod" })),
+    ...urls.prod
+      .filter((pagePath) => !stagingPaths.has(pagePath))
+      .map((pagePath) => ({ pagePath, missingOn: "staging" })),
+  ];
+  const missing = [];
+  const unlisted = [];
+
+  for (const row of oneSided) {
+    const { status, location, error } = await fetchHttpStatus(
+      buildUrl(config[row.missingOn].baseUrl, row.pagePath)
+    );
+
+    if (status >= 200 && status < 300) {
+      shared.push(row.pagePath);
+      unlisted.push({ pagePath: row.pagePath, unlistedOn: row.missingOn, status });
+      continue;
+    }
+
+    row.missingStatus = status;
+    if (location) row.redirectedTo = location;
+    if (error) row.error = error;
+    missing.push(row);
+  }
+
+  return { shared, missing, unlisted };
+}
+
+module.exports = {
+  parseSitemap,
+  fetchSitemapUrls,
+  discoverUrls,
+  fetchHttpStatus,
+  formatMissingReason,
+  findMissingPages,
+};
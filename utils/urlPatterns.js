@@ -0,0 +1,25 @@
+// Convert a simple glob ("/articles/*", "/apply/?d=*") into an anchored RegExp
+// Only "*" is special and matches any run of characters, including "/" and "?"
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Check whether a page path matches any of the given glob patterns
+function matchesAny(pagePath, patterns = []) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(pagePath));
+}
+
+// Keep paths matching the include rules (all paths when none are given) and drop excluded ones
+function applyUrlRules(pagePaths, { include = [], exclude = [] } = {}) {
+  return pagePaths.filter(
+    (pagePath) =>
+      (include.length === 0 || matchesAny(pagePath, include)) &&
+      !matchesAny(pagePath, exclude)
+  );
+}
+
+module.exports = { globToRegExp, matchesAny, applyUrlRules };
@@ -0,0 +1,20 @@
+// Run `worker(item, laneIndex)` over items with at most `concurrency` calls in flight
+// Each lane handles one item at a time, so callers can give every lane its own resources
+// (e.g. a browser context). Results come back in the same order as the items.
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const laneCount = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+
+  async function runLane(laneIndex) {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], laneIndex);
+    }
+  }
+
+  await Promise.all(Array.from({ length: laneCount }, (_, laneIndex) => runLane(laneIndex)));
+  return results;
+}
+
+module.exports = { runWithConcurrency };